@@ -0,0 +1,198 @@
+/* MODULE INFO:
+This module runs animations on elements, and lets code wait for them to end
+(like waiting for an exit animation before unmounting something):
+
+    await ReactStyles.animate(element, "fadeOut")
+    await ReactStyles.animate(element, { keyframes: "Fade", component: this, duration: 300 })
+
+Animations are started either by adding class names (whose CSS has an
+animation or a transition) or by playing keyframes by name. This module
+accomplishes its tasks under the following requirements:
+    1. Class names are added again even if the element has them, so their animations restart
+    2. Keyframes are played through the element's inline "animation" style
+        - Without a duration, the element's computed animation-duration is used (and it throws if there is none)
+        - The inline style is restored afterwards (unless "fill" keeps the last frame)
+    3. Returns a promise that resolves once the animation (or transition) ends
+        - Resolves to true when it finished, and to false when it was cancelled
+        - Also resolves after the time the animation should take, since end events
+          dont always fire (like for hidden elements, or when nothing is animated)
+    4. Running animations can be cancelled with promise.cancel(), which undoes what started them
+    5. Animations can run in sequence or in parallel (and those can be cancelled the same way)
+*/
+
+const endSlack = 50 // ms given to end events before the animation is considered over anyway
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    // REQ 1: fulfills requirement 1
+    // NOTE: class names are kept after the animation ends, so "fill-mode: forwards" animations stay where they end
+    animateClassNames(htmlElement, classNames) {
+        htmlElement.classList.remove(...classNames)
+        void htmlElement.offsetWidth // same trick as ReactStyles.rerunAnimationOn()
+        htmlElement.classList.add(...classNames)
+        return this._waitForEnd(htmlElement, null, () => htmlElement.classList.remove(...classNames))
+    }
+
+    // REQ 2: fulfills requirement 2
+    // NOTE: "name" should already be the keyframes' name in CSS (like "Card-Fade")
+    // NOTE: without a duration, the element's own animation-duration is used (since keyframes with no duration never play)
+    animateKeyFrames(htmlElement, name, options = {}) {
+        const { duration = _getComputedDuration(htmlElement, name), easing = "ease", delay = 0, iterations = 1, direction = "normal", fill = "none" } = options
+        const prevAnimation = htmlElement.style.animation
+        htmlElement.style.animation = "none"
+        void htmlElement.offsetWidth // restarts the keyframes if they were just played
+        htmlElement.style.animation = [name, _toTime(duration), easing, _toTime(delay), iterations, direction, fill].join(' ')
+
+        const restore = () => {
+            htmlElement.style.animation = prevAnimation
+        }
+        const keepsLastFrame = fill === "forwards" || fill === "both"
+        return this._waitForEnd(htmlElement, name, restore, keepsLastFrame ? null : restore)
+    }
+
+    // REQ 5: fulfills requirement 5
+    // "steps" are functions that start an animation (or promise) and return it; each starts once the one before it ends
+    // NOTE: a cancelled step cancels the rest of the sequence
+    animateInSequence(steps) {
+        let currStep = null
+        let cancelled = false
+        const promise = (async () => {
+            for (const step of steps) {
+                if (cancelled) {
+                    return false
+                }
+                currStep = _startStep(step)
+                if (await currStep === false) {
+                    return false
+                }
+            }
+            return !cancelled
+        })()
+        promise.cancel = () => {
+            cancelled = true
+            _cancelStep(currStep)
+        }
+        return promise
+    }
+
+    // like animateInSequence(), except all steps start right away (steps can also be animations that already started)
+    animateInParallel(steps) {
+        const running = steps.map((step) => _startStep(step))
+        const promise = Promise.all(running).then((results) => results.every((finished) => finished !== false))
+        promise.cancel = () => {
+            for (const runningStep of running) {
+                _cancelStep(runningStep)
+            }
+        }
+        return promise
+    }
+
+    // REQ 3: fulfills requirement 3
+    // NOTE: animationName limits which animations count (transitions are only waited on when it is null)
+    _waitForEnd(htmlElement, animationName, undo, onFinish = null) {
+        const eventTypes = (animationName === null) ? ["animationend", "transitionend"] : ["animationend"]
+        const expectedEnd = Date.now() + _getExpectedDuration(htmlElement)
+
+        let timeout = null
+        let onEnd = null
+        let resolvePromise
+        const promise = new Promise((resolve) => {
+            resolvePromise = resolve
+        })
+        const end = (finished) => {
+            if (onEnd === null) {
+                return // already ended
+            }
+            for (const eventType of eventTypes) {
+                htmlElement.removeEventListener(eventType, onEnd)
+            }
+            onEnd = null
+            clearTimeout(timeout)
+
+            const afterEnd = finished ? onFinish : undo
+            if (afterEnd) {
+                afterEnd()
+            }
+            resolvePromise(finished)
+        }
+
+        onEnd = (event) => {
+            // NOTE: end events bubble up from children, and shorter animations (or transitioned props) end first
+            const isOwnEvent = event.target === htmlElement && (animationName === null || event.animationName === animationName)
+            if (isOwnEvent && Date.now() >= expectedEnd - endSlack) {
+                end(true)
+            }
+        }
+        for (const eventType of eventTypes) {
+            htmlElement.addEventListener(eventType, onEnd)
+        }
+        if (expectedEnd !== Infinity) {
+            timeout = setTimeout(() => end(true), Math.max(expectedEnd - Date.now(), 0) + endSlack)
+        }
+
+        // REQ 4: fulfills requirement 4
+        promise.cancel = () => end(false)
+        return promise
+    }
+}
+
+// returns how long (in ms) the element's animations and transitions take, going by its computed style
+// NOTE: infinite animations take forever (Infinity)
+function _getExpectedDuration(htmlElement) {
+    if (typeof getComputedStyle !== "function") {
+        return 0
+    }
+    const style = getComputedStyle(htmlElement)
+    const animationTimes = _getTotalTimes(style.animationDuration, style.animationDelay, style.animationIterationCount)
+    const transitionTimes = _getTotalTimes(style.transitionDuration, style.transitionDelay, "")
+    return Math.max(0, ...animationTimes, ...transitionTimes)
+}
+
+// returns the element's (first) animation-duration, going by its computed style
+function _getComputedDuration(htmlElement, keyframesName) {
+    const style = (typeof getComputedStyle === "function") ? getComputedStyle(htmlElement) : null
+    const duration = style ? _splitList(style.animationDuration)[0] : undefined
+    if (_parseTime(duration) <= 0) {
+        throw new Error(`ReactStyles.animate() needs a duration for the "${keyframesName}" keyframes, since the element has no animation-duration to use instead`)
+    }
+    return duration
+}
+
+// NOTE: CSS repeats the shorter lists until they are as long as the durations
+function _getTotalTimes(durationsStr, delaysStr, iterationsStr) {
+    const durations = _splitList(durationsStr)
+    const delays = _splitList(delaysStr)
+    const iterationCounts = _splitList(iterationsStr)
+    return durations.map((duration, idx) => {
+        const delay = delays.length > 0 ? _parseTime(delays[idx % delays.length]) : 0
+        const iterations = iterationCounts.length > 0 ? iterationCounts[idx % iterationCounts.length] : "1"
+        const numIterations = (iterations === "infinite") ? Infinity : (parseFloat(iterations) || 1)
+        const activeTime = _parseTime(duration) * numIterations
+        return (activeTime > 0) ? delay + activeTime : 0 // NaN for 0 * Infinity
+    })
+}
+
+function _splitList(str) {
+    return (typeof str === "string" && str.trim() !== "") ? str.split(',').map((item) => item.trim()) : []
+}
+
+// turns "0.3s" or "300ms" into 300
+function _parseTime(str) {
+    const value = parseFloat(str) || 0
+    return /ms$/.test(str) ? value : value * 1000
+}
+
+// numbers are in milliseconds
+function _toTime(time) {
+    return (typeof time === "number") ? time + "ms" : time
+}
+
+function _startStep(step) {
+    return (typeof step === "function") ? step() : step
+}
+
+function _cancelStep(runningStep) {
+    if (runningStep && typeof runningStep.cancel === "function") {
+        runningStep.cancel()
+    }
+}
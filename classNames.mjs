@@ -0,0 +1,77 @@
+/* MODULE INFO:
+This module maps readable class names (component names, when() subclasses,
+and the like) to the class names actually used in CSS and rendered elements.
+Normally, these are exactly the same. In production though, they can be
+minified into short hashed names instead, so generated selectors are shorter
+and don't give away the structure of an app:
+
+    .Button .Icon.active    ->    .r1xk2fa .r9sl3q.rk2p1c
+
+Minified names are used everywhere React Styles writes class names (in CSS
+rules, and in class names given to rendered elements) under the following
+requirements:
+    1. Readable names are kept in development, and whenever minification is off
+    2. Minified names are short, and come from hashing the readable name
+        - The same readable name is minified the same way every time (like on a server and in the browser)
+    3. Each readable name maps to a single minified name (and the other way around)
+    4. All names minified so far can be exported as a manifest
+        - Manifests can be loaded back in, so names match ones from an earlier build or server
+*/
+
+import hash from './hashing.mjs'
+import environment from './environment.mjs'
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    constructor() {
+        this.minifyEnabled = false
+        this._minifiedNames = {} // readable name -> minified name
+        this._readableNames = {} // minified name -> readable name
+    }
+
+    // REQ 1: fulfills requirement 1
+    get isMinifying() {
+        return this.minifyEnabled && !environment.isDevMode
+    }
+
+    toClassName(name) {
+        if (!this.isMinifying) {
+            return name
+        }
+        return this._minifiedNames[name] || this._minify(name)
+    }
+
+    // like toClassName(), but leaves names that were never minified alone (like class names from other stylesheets)
+    toKnownClassName(name) {
+        return (this.isMinifying && this._minifiedNames[name]) || name
+    }
+
+    // REQ 2: fulfills requirement 2
+    _minify(name) {
+        // NOTE: class names cant start with digits, so a letter always comes first
+        const minifiedBase = 'r' + hash(name)
+        let minified = minifiedBase
+        // REQ 3: fulfills requirement 3
+        for (let count = 2; this._readableNames[minified] !== undefined; count++) {
+            minified = minifiedBase + '-' + count
+        }
+        this._minifiedNames[name] = minified
+        this._readableNames[minified] = name
+        return minified
+    }
+
+    // REQ 4: fulfills requirement 4
+    // returns an object of readable names to minified names
+    getManifest() {
+        return Object.assign({}, this._minifiedNames)
+    }
+
+    // NOTE: this should happen before any names are minified, or names already in use could change
+    loadManifest(manifest) {
+        for (const name in manifest) {
+            const minified = manifest[name]
+            this._minifiedNames[name] = minified
+            this._readableNames[minified] = name
+        }
+    }
+}
@@ -0,0 +1,204 @@
+/* MODULE INFO:
+This module switches between themes made for color schemes (like light and
+dark mode). It follows the color scheme the operating system prefers, unless
+the user picks one themselves:
+
+    ReactStyles.registerColorScheme("light", lightTheme)
+    ReactStyles.registerColorScheme("dark", darkTheme)
+
+    ReactStyles.setColorScheme("dark") // the user's choice (null follows the system again)
+
+It accomplishes this under the following requirements:
+    1. Color schemes are named themes (see themes.mjs), and exactly one is applied at a time
+    2. Follows the system's color scheme (through matchMedia()) when the user hasn't picked one
+        - Only schemes named "light" and "dark" are picked this way; others need to be picked explicitly
+    3. The user's choice can be set at any time, and is saved through a storage adapter
+        - Adapters only need get(key), set(key, value) and remove(key)
+        - The default adapter uses localStorage (when there is one), and memory otherwise
+    4. Listeners are told whenever the applied color scheme changes
+*/
+
+import themeRegistry from './themes.mjs'
+
+const storageKey = "react-styles-color-scheme"
+const darkQuery = "(prefers-color-scheme: dark)"
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    constructor() {
+        this._themes = {} // scheme name -> theme
+        this._appliedScheme = null
+        this._appliedTheme = null
+        this._storage = _createDefaultStorage()
+        this._userScheme = undefined // loaded from storage when first needed
+        this._mediaQuery = null
+        this._listeners = []
+    }
+
+    // REQ 1: fulfills requirement 1
+    // NOTE: registering a scheme with the same name again replaces its theme
+    registerColorScheme(name, theme) {
+        this._themes[name] = theme
+        this._followSystem()
+        this._applyColorScheme()
+    }
+
+    get colorScheme() {
+        return this._appliedScheme
+    }
+
+    // REQ 3: fulfills requirement 3
+    setColorScheme(name) {
+        if (name !== null && !(name in this._themes)) {
+            throw new Error(`Color scheme "${name}" was never registered (use ReactStyles.registerColorScheme() first)`)
+        }
+
+        this._userScheme = name
+        if (name === null) {
+            this._storage.remove(storageKey)
+        }
+        else {
+            this._storage.set(storageKey, name)
+        }
+        this._applyColorScheme()
+    }
+
+    // NOTE: the user's choice is loaded from the new storage
+    setStorage(storage) {
+        this._storage = storage
+        this._userScheme = undefined
+        this._applyColorScheme()
+    }
+
+    _getUserScheme() {
+        if (this._userScheme === undefined) {
+            const storedScheme = this._storage.get(storageKey)
+            this._userScheme = (typeof storedScheme === "string") ? storedScheme : null
+        }
+        return this._userScheme
+    }
+
+    // REQ 2: fulfills requirement 2
+    _followSystem() {
+        if (this._mediaQuery || typeof window === "undefined" || typeof window.matchMedia !== "function") {
+            return
+        }
+
+        this._mediaQuery = window.matchMedia(darkQuery)
+        const onSystemChange = () => this._applyColorScheme()
+        // NOTE: older browsers only have addListener()
+        if (typeof this._mediaQuery.addEventListener === "function") {
+            this._mediaQuery.addEventListener("change", onSystemChange)
+        }
+        else {
+            this._mediaQuery.addListener(onSystemChange)
+        }
+    }
+
+    _getSystemScheme() {
+        const prefersDark = this._mediaQuery !== null && this._mediaQuery.matches
+        if (prefersDark && this._themes.dark) {
+            return "dark"
+        }
+        if (this._themes.light) {
+            return "light"
+        }
+        return Object.keys(this._themes)[0] || null
+    }
+
+    _applyColorScheme() {
+        const userScheme = this._getUserScheme()
+        // NOTE: a stored choice might be for a scheme that isnt registered (yet)
+        const scheme = (userScheme !== null && this._themes[userScheme]) ? userScheme : this._getSystemScheme()
+        const theme = (scheme !== null) ? this._themes[scheme] : null
+        if (theme === this._appliedTheme) {
+            return
+        }
+
+        if (this._appliedTheme) {
+            themeRegistry.removeTheme(this._appliedTheme)
+        }
+        if (theme) {
+            themeRegistry.applyTheme(theme)
+        }
+        const changed = scheme !== this._appliedScheme
+        this._appliedScheme = scheme
+        this._appliedTheme = theme
+
+        // REQ 4: fulfills requirement 4
+        if (changed) {
+            for (const listener of this._listeners.slice()) {
+                listener(scheme)
+            }
+        }
+    }
+
+    // returns a function that removes the listener again
+    addListener(listener) {
+        this._listeners.push(listener)
+        return () => {
+            const idx = this._listeners.indexOf(listener)
+            if (idx !== -1) {
+                this._listeners.splice(idx, 1)
+            }
+        }
+    }
+
+    // forgets all color schemes (like between tests)
+    // NOTE: this doesnt remove the applied theme; themes are removed separately
+    reset() {
+        this._themes = {}
+        this._appliedScheme = null
+        this._appliedTheme = null
+        this._userScheme = undefined
+    }
+}
+
+// NOTE: localStorage can throw (like when storage is disabled), in which case choices are only kept in memory
+function _createDefaultStorage() {
+    const memory = {}
+    const hasLocalStorage = () => {
+        try {
+            return typeof localStorage !== "undefined" && localStorage !== null
+        }
+        catch (error) {
+            return false
+        }
+    }
+    return {
+        get: (key) => {
+            try {
+                const value = hasLocalStorage() ? localStorage.getItem(key) : null
+                if (value !== null) {
+                    return value
+                }
+            }
+            catch (error) {
+                // falls back to memory
+            }
+            return (key in memory) ? memory[key] : null
+        },
+        set: (key, value) => {
+            memory[key] = value
+            try {
+                if (hasLocalStorage()) {
+                    localStorage.setItem(key, value)
+                }
+            }
+            catch (error) {
+                // kept in memory only
+            }
+        },
+        remove: (key) => {
+            delete memory[key]
+            try {
+                if (hasLocalStorage()) {
+                    localStorage.removeItem(key)
+                }
+            }
+            catch (error) {
+                // kept in memory only
+            }
+        },
+    }
+}
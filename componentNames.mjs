@@ -0,0 +1,101 @@
+/* MODULE INFO:
+This module decides the name React Styles uses for a component's CSS classes
+(its "style name"). By default, this is just the name of the component's
+class (or function). However, different components can end up with the same
+name; for example, two "Button" classes in separate feature folders, or any
+classes a minifier renamed to "t". Since styles are kept by name, those
+components would silently share (and overwrite) each other's styles.
+
+    class Button extends ReactStyles.Component {
+        static styleName = "CheckoutButton" // used instead of "Button"
+        // ...
+    }
+
+This module names components under the following requirements:
+    1. Gives a component the same style name every time it is asked for
+    2. Components can choose their name with a static "styleName" property
+    3. Warns (in development) when different components get the same name
+    4. Optionally appends a stable suffix to names that clash
+        - Names chosen with "styleName" are never changed
+*/
+
+import unnamedComponentHandler from './unnamedComponents.mjs'
+import hash from './hashing.mjs'
+import environment from './environment.mjs'
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    constructor() {
+        this._names = new WeakMap() // component (class or function) -> style name
+        // NOTE: owners are kept as ids, so naming a component never keeps it from being garbage collected
+        this._ownerIds = new WeakMap() // component -> id
+        this._owners = {} // style name -> id of the component that first used it
+        this._numOwners = 0
+        this.suffixClashingNames = false
+    }
+
+    // REQ 1: fulfills requirement 1
+    getName(component) {
+        let name = this._names.get(component)
+        if (!name) {
+            name = this._createName(component)
+            this._names.set(component, name)
+        }
+        return name
+    }
+
+    // forgets all names given so far (like between tests)
+    reset() {
+        this._names = new WeakMap()
+        this._ownerIds = new WeakMap()
+        this._owners = {}
+        this._numOwners = 0
+    }
+
+    _createName(component) {
+        // REQ 2: fulfills requirement 2
+        // NOTE: only the component's own property counts; subclasses should not inherit their parent's name
+        const hasStyleName = Object.prototype.hasOwnProperty.call(component, "styleName")
+        // NOTE: anonymous classes/functions that are default exports are named "default", which isnt their own name either
+        const hasOwnName = component.name && component.name !== "default"
+        let name = hasStyleName ? component.styleName : (hasOwnName ? component.name : unnamedComponentHandler.generateName(component))
+
+        const ownerId = this._getOwnerId(component)
+        const owner = this._owners[name]
+        if (owner && owner !== ownerId) {
+            // REQ 4: fulfills requirement 4
+            if (this.suffixClashingNames && !hasStyleName) {
+                name = this._toUniqueName(name, component, ownerId)
+            }
+            // REQ 3: fulfills requirement 3
+            else if (environment.isDevMode && console && console.warn) {
+                console.warn(`Different components are both named "${name}", so they will share (and overwrite) each other's styles. (Give one of them a "static styleName", or run ReactStyles.enableUniqueStyleNames() to keep them apart automatically.)`)
+            }
+        }
+
+        if (!this._owners[name]) {
+            this._owners[name] = ownerId
+        }
+        return name
+    }
+
+    _getOwnerId(component) {
+        let ownerId = this._ownerIds.get(component)
+        if (!ownerId) {
+            ownerId = ++this._numOwners
+            this._ownerIds.set(component, ownerId)
+        }
+        return ownerId
+    }
+
+    // NOTE: the suffix comes from the component's source code, so it stays the same between
+    // page loads (and between a server and the browser), no matter which component is named first
+    _toUniqueName(name, component, ownerId) {
+        const suffixedName = name + '-' + hash(String(component))
+        let uniqueName = suffixedName
+        for (let count = 2; this._owners[uniqueName] && this._owners[uniqueName] !== ownerId; count++) {
+            uniqueName = suffixedName + '-' + count // only for components with the exact same source
+        }
+        return uniqueName
+    }
+}
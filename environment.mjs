@@ -0,0 +1,21 @@
+/* MODULE INFO:
+This module tells the rest of React Styles about the environment it runs in.
+It provides the following:
+    1. Whether this is a development (not production) build
+        - Bundlers replace process.env.NODE_ENV; without one (and without Node), development is assumed
+*/
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    // REQ 1: fulfills requirement 1
+    // NOTE: process.env.NODE_ENV is read as it is (like React does), since bundlers only replace that exact
+    // expression, and most dont define "process" itself; reading it only throws when nothing replaced it
+    get isDevMode() {
+        try {
+            return process.env.NODE_ENV !== "production"
+        }
+        catch (error) {
+            return true // (no bundler, and no Node)
+        }
+    }
+}
@@ -0,0 +1,90 @@
+/* MODULE INFO:
+This module implements global styles, which style things outside of any
+component (like the page's body, or fonts) using the same syntax as
+makeStyle():
+
+    ReactStyles.globalStyle((when) => ({
+        body: {
+            margin: 0,
+        },
+        "@font-face": {
+            fontFamily: "Inter",
+            src: "url(/fonts/Inter.woff2)",
+        },
+    }))
+
+Global style rules are created by global managers from makeStyleProcessor.mjs,
+which start from no selector at all (props at the top apply to ":root"). This
+module accomplishes its tasks under the following requirements:
+
+    Global Styles:
+        1. Created from a makeStyle()-like function
+        2. Apply immediately (not when some component mounts)
+        3. Come before all component styles (so components can override them)
+        4. Can be removed again at runtime
+        5. Dynamic props are calculated whenever the global style applies, or is updated
+*/
+
+import makeStyleManagerFactory from './makeStyleProcessor.mjs'
+
+// REQ 1: fulfills requirement 1
+class GlobalStyle {
+    constructor(id, makeStyle) {
+        this.id = id
+        // REQ 3: fulfills requirement 3
+        this._manager = makeStyleManagerFactory.createGlobalManager(makeStyle, id)
+    }
+
+    // REQ 5: fulfills requirement 5
+    // NOTE: dynamic props are given the global style itself, since there is no component instance
+    _apply() {
+        this._manager.initStyle()
+        this._update()
+    }
+    _update() {
+        this._manager.updateDynamicStyles(this)
+    }
+}
+
+// registry singleton
+export default new class {
+    constructor() {
+        this._appliedStyles = [] // in order of application
+        this._styleCount = 0
+    }
+
+    // REQ 2: fulfills requirement 2
+    addGlobalStyle(makeStyle) {
+        const globalStyle = new GlobalStyle(this._styleCount++, makeStyle)
+        globalStyle._apply()
+        this._appliedStyles.push(globalStyle)
+        return globalStyle
+    }
+
+    // REQ 4: fulfills requirement 4
+    removeGlobalStyle(globalStyle) {
+        if (!this.isApplied(globalStyle)) {
+            return
+        }
+
+        globalStyle._manager.removeStyle()
+        this._appliedStyles.splice(this._appliedStyles.indexOf(globalStyle), 1)
+    }
+
+    // calculates dynamic props again (like after values they use have changed)
+    updateGlobalStyle(globalStyle) {
+        if (this.isApplied(globalStyle)) {
+            globalStyle._update()
+        }
+    }
+
+    isApplied(globalStyle) {
+        return this._appliedStyles.includes(globalStyle)
+    }
+
+    removeAllGlobalStyles() {
+        for (const globalStyle of this._appliedStyles.slice()) {
+            this.removeGlobalStyle(globalStyle)
+        }
+    }
+}
@@ -0,0 +1,18 @@
+/* MODULE INFO:
+This module provides the hash React Styles uses to create names from
+source code or CSS (like for suffixes that keep names apart). Hashes are
+not meant to be secure; they only need to be:
+    1. The same for the same string, every time (including on other machines)
+    2. Short, and usable in CSS class names
+*/
+
+// REQ 1: fulfills requirement 1
+// NOTE: this is the "djb2" string hash
+export default function hash(str) {
+    let hashValue = 5381
+    for (let idx = 0; idx < str.length; idx++) {
+        hashValue = ((hashValue << 5) + hashValue + str.charCodeAt(idx)) | 0
+    }
+    // REQ 2: fulfills requirement 2
+    return (hashValue >>> 0).toString(36)
+}
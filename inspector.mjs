@@ -0,0 +1,101 @@
+/* MODULE INFO:
+This module helps with debugging the CSS React Styles generates, by
+answering questions like "which component made this rule?" and "which rules
+apply to this element?":
+
+    ReactStyles.inspect()                    // everything, by base rule
+    ReactStyles.inspectElement(element)      // rules that match an element
+    ReactStyles.logElementStyles(element)    // the same, as a console table
+
+It accomplishes this under the following requirements:
+    1. Lists every base rule in every registry (the main document's and each style context's)
+        - Includes what owns it (a component, theme, global style or css prop), whether it is static or dynamic, and its CSS
+    2. Finds the rules whose selectors match an element
+        - Rules without selectors (like keyframes) never match
+        - At-rules (like @media) are listed, but not checked
+    3. Prints matching rules as a table in the console
+*/
+
+import makeStyleManagerFactory from './makeStyleProcessor.mjs'
+import { atRuleKey } from './sheetBackends.mjs'
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    // REQ 1: fulfills requirement 1
+    inspect() {
+        const entries = []
+        for (const { styleContext, registry } of makeStyleManagerFactory.getRegistries()) {
+            for (const entry of registry.getEntries()) {
+                entry.target = styleContext ? styleContext.target : null // (null for the main document)
+                entries.push(entry)
+            }
+        }
+        return entries
+    }
+
+    // REQ 2: fulfills requirement 2
+    inspectElement(htmlElement) {
+        const matches = []
+        for (const entry of this.inspect()) {
+            for (const sheet of entry.sheets) {
+                const atRulesEnd = sheet.rule.lastIndexOf(atRuleKey) + 1
+                const selector = sheet.rule.slice(atRulesEnd)
+                if (selector[0] === '@' || !_matches(htmlElement, selector)) {
+                    continue
+                }
+                matches.push({
+                    selector,
+                    atRules: sheet.rule.slice(0, atRulesEnd).split(atRuleKey).filter((atRule) => atRule !== ""),
+                    owner: entry.owner,
+                    type: sheet.type,
+                    cssText: sheet.cssText,
+                })
+            }
+        }
+        return matches
+    }
+
+    // REQ 3: fulfills requirement 3
+    logElementStyles(htmlElement) {
+        const matches = this.inspectElement(htmlElement)
+        const rows = matches.map((match) => ({
+            selector: match.selector,
+            atRules: match.atRules.join(' '),
+            owner: _describeOwner(match.owner),
+            type: match.type,
+        }))
+        if (console && typeof console.table === "function") {
+            console.table(rows)
+        }
+        else if (console && console.log) {
+            console.log(rows)
+        }
+        return matches
+    }
+}
+
+// NOTE: selectors the DOM doesnt understand (like ones with pseudo-elements, in some browsers) never match
+function _matches(htmlElement, selector) {
+    try {
+        return htmlElement.matches(selector)
+    }
+    catch (error) {
+        return false
+    }
+}
+
+function _describeOwner(owner) {
+    if (!owner) {
+        return ""
+    }
+    if (owner.theme) {
+        return `${owner.component} (theme "${owner.theme}")`
+    }
+    if (owner.component) {
+        return owner.component
+    }
+    if (owner.cssProp) {
+        return `css prop (${owner.cssProp})`
+    }
+    return `global style ${owner.globalStyle}`
+}
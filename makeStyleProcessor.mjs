@@ -5,14 +5,20 @@ accomplishes these tasks under the following requirements:
 
     Main Factory:
         1. Default export of the module
-        2. Creates managers for component instances and themes
-        3. Sets up HTML element structures for modifying CSS later
+        2. Creates managers for component instances, themes, global styles and css props
+            - Class names in rules can be minified (see classNames.mjs)
+        3. Sets up a sheet backend for writing CSS to later
+            - Uses the DOM when there is one, and memory otherwise
+            - Collects styles in memory for server-side rendering
+            - Style contexts (like shadow roots and iframes) get their own backends and registries
+            - Themes and global styles apply in the main document and in every style context
     Style Manager:
         4. Parses makeStyle() results after first component mounts
+            - Mistakes are reported in development (see styleValidation.mjs)
         5. Parses/updates dynamic style properties after every component mounts/updates
         6. Manages adding/modifying style elements to/in previously mentioned HTML structures
     makeStyle() Syntax:
-        7. Static props have string values
+        7. Static props have string (or number) values
         8. Dynamic props have function values
         9. Props defined in camelCase turn to dash-case
         10. Absolute props start with '='
@@ -21,63 +27,352 @@ accomplishes these tasks under the following requirements:
             - '.' is auto-appended for Component names ONLY!
         13. '@keyframes ...' defines animation frames
             - Numerical values automatically converted to percentages
+            - Names are prefixed with the component name (and renamed in animation props)
+        14. '@media', '@supports', '@container' and '@layer' wrap nested rules
+            - Can be nested inside each other (and anything else) at any level
+    Style Manager (cleanup):
+        15. Removes style elements after the last component using them unmounts
+    makeStyle() Syntax (continued):
+        16. Dynamic props wrapped in instance() apply per component instance
+        17. Numeric values get a unit (px by default), unless their prop is unitless
+        18. Selector lists ("h1, h2") nest against every parent selector
+            - '&' places the parent selector explicitly (like ".dark-mode &")
+            - Works for child, when() and absolute props
+        19. Other at-rules are written as they are, without the parent selector
+            - Ones with blocks (like '@font-face') take objects (or arrays of them)
+            - Ones without blocks (like '@import') take strings (or arrays of them)
+        20. 'include' merges in mixins at any level (see mixins.mjs)
 */
 
 import StyleManager from './styleManager.mjs'
+import sheetBackends from './sheetBackends.mjs'
+import classNameHandler from './classNames.mjs'
+import createWeakRef from './weakRefs.mjs'
+
+// a place (other than the main document) that styles are written to, like a shadow root or an iframe's document
+// NOTE: each context remembers its own sheets, so components mounted in more than one place get sheets in each
+// NOTE: contexts without a target write to the backend they are given instead (like for testing.renderStyles())
+class StyleContext {
+    constructor(target, backend = null) {
+        const isDocument = Boolean(target) && target.nodeType === 9 // (Node.DOCUMENT_NODE)
+        this.target = target
+        this.backend = backend || new sheetBackends.DOMSheetBackend(isDocument ? target : target.ownerDocument, isDocument ? null : target)
+        this.registry = StyleManager.createRegistry()
+    }
+
+    // NOTE: selectors like "body" and ":root" never match inside shadow roots, so ":host" is used there instead
+    get isShadowRoot() {
+        return Boolean(this.target) && this.target.nodeType === 11 && Boolean(this.target.host) // (Node.DOCUMENT_FRAGMENT_NODE)
+    }
+}
+
+// a manager for styles that apply everywhere (like themes and global styles), in the main document and in every style context
+// NOTE: each place gets its own StyleManager (created when first needed), since each has its own sheets and registry
+class SharedStyleManager {
+    constructor(factory, createManager) {
+        this._factory = factory
+        this._createManager = createManager // (style context, or null for the main document) -> StyleManager
+        this._mainManager = null
+        this._contextManagers = new WeakMap() // style context -> StyleManager
+        this._dynamicInstance = null // what dynamic props were last calculated for (so new style contexts can get them too)
+    }
+
+    initStyle() {
+        this._factory._sharedManagers.add(this)
+        for (const manager of this._getManagers()) {
+            manager.initStyle()
+        }
+    }
+
+    updateDynamicStyles(componentInstance) {
+        this._dynamicInstance = componentInstance
+        for (const manager of this._getManagers()) {
+            manager.updateDynamicStyles(componentInstance)
+        }
+    }
+
+    // creates the styles again from scratch (like after their registry was reset; see StyleManager's reinitStyle())
+    reinitStyle() {
+        for (const manager of this._getManagers()) {
+            manager.reinitStyle()
+        }
+    }
+
+    removeStyle() {
+        this._factory._sharedManagers.delete(this)
+        this._dynamicInstance = null
+        for (const manager of this._getManagers()) {
+            manager.removeStyle()
+        }
+    }
+
+    // updates dynamic props in a single style context (like the one renderStylesInMemory() gives renderFn())
+    updateDynamicStylesIn(styleContext, componentInstance) {
+        this._getManager(styleContext).updateDynamicStyles(componentInstance)
+    }
+
+    // applies the styles to a style context created after they were applied
+    _applyTo(styleContext) {
+        const manager = this._getManager(styleContext)
+        manager.initStyle()
+        if (this._dynamicInstance) {
+            manager.updateDynamicStyles(this._dynamicInstance)
+        }
+    }
+
+    // NOTE: styles are always collected in one place on servers
+    _getManagers() {
+        const styleContexts = this._factory.isCollectingStyles ? [] : this._factory._getStyleContexts()
+        return [null].concat(styleContexts).map((styleContext) => this._getManager(styleContext))
+    }
+
+    _getManager(styleContext) {
+        if (!styleContext) {
+            this._mainManager = this._mainManager || this._createManager(null)
+            return this._mainManager
+        }
+        let manager = this._contextManagers.get(styleContext)
+        if (!manager) {
+            manager = this._createManager(styleContext)
+            this._contextManagers.set(styleContext, manager)
+        }
+        return manager
+    }
+}
 
 // REQ 1: fulfills requirement 1
 // factory singleton
 export default new class {
     constructor() {
         // REQ 3: fulfills requirement 3
-        this._masterStylesContainer = this._createMasterContainer()
-        this._staticStylesContainer = this._createStaticContainer()
-        this._dynamicStylesContainer = this._createDynamicContainer()
+        // NOTE: this does not touch the DOM, so the module is safe to import without one
+        this._sheetBackend = this._createDefaultBackend()
+        // NOTE: style contexts are only held weakly, so removed shadow roots and iframes can still be garbage collected
+        this._styleContexts = new WeakMap() // target node -> style context
+        this._styleContextRefs = new Set() // weak references to every style context (since WeakMaps cant be looped over)
+        this._sharedManagers = new Set() // shared managers whose styles are applied (see SharedStyleManager)
+        this.isCollectingStyles = false // when true, components need to initialize styles while rendering
     }
 
     // REQ 2: fulfills requirement 2
-    createComponentManager(componentInstance) {
-        const rule = '.' + componentInstance.componentName // manager expects a valid CSS rule
+    // NOTE: getStyleContext() returns the style context the component is mounted in (or null for the main document)
+    createComponentManager(componentInstance, getStyleContext = () => null) {
+        const rule = '.' + classNameHandler.toClassName(componentInstance.componentName) // manager expects a valid CSS rule
         const makeStyle = (when) => componentInstance.makeStyle(when) // binds "this" to component
-        return this._createManager(rule, makeStyle)
-    }
-    createThemeManagerForComponent(componentName, makeTheme) {
-        const rule = "body " + componentName + ":not(.__THIS_INCREASES_SPECIFICITY_FOR_THEMES__)"
-        return this._createManager(rule, makeTheme)
-    }
-    _createManager(rule, makeStyle) {
-        const createStatic = () => this._createStaticStylesheet()
-        const createDynamic = () => this._createDynamicStylesheet()
-        return new StyleManager(rule, makeStyle, createStatic, createDynamic)
-    }
-
-    /* STYLESHEET MANAGEMENT */
-    _createMasterContainer() {
-        const container = document.createElement('div')
-        // attach to document (somehow...)
-        const attachTo = document.head || document.body || document.documentElement
-        attachTo.appendChild(container)
-        return container
-    }
-    _createStaticContainer() {
-        const container = document.createElement('div')
-        this._masterStylesContainer.appendChild(container)
-        return container
-    }
-    _createDynamicContainer() {
-        const container = document.createElement('div')
-        this._masterStylesContainer.appendChild(container)
-        return container
-    }
-
-    _createStaticStylesheet() {
-        const style = document.createElement('style')
-        this._staticStylesContainer.appendChild(style)
-        return style
-    }
-    _createDynamicStylesheet() {
-        const style = document.createElement('style')
-        this._dynamicStylesContainer.appendChild(style)
-        return style
+        return this._createManager(rule, makeStyle, {
+            scopeName: componentInstance.componentName,
+            owner: { component: componentInstance.componentName },
+        }, getStyleContext)
+    }
+    // NOTE: the :not() increases specificity over component rules, and
+    // its class name keeps rules from different themes apart
+    // NOTE: themeId is unique to each theme, so themes given the same name (which is only for display) are still kept apart
+    // NOTE: dynamic theme props get static sheets, so all sheets of a theme come after the ones of themes applied before it
+    createThemeManagerForComponent(componentName, makeTheme, themeName, themeId) {
+        const themeKey = themeName + '-' + themeId
+        const specificityClassName = classNameHandler.toClassName("__THIS_INCREASES_SPECIFICITY_FOR_THEMES__-" + themeKey)
+        return new SharedStyleManager(this, (styleContext) => {
+            const rootSelector = (styleContext && styleContext.isShadowRoot) ? ":host" : "body"
+            const rule = rootSelector + " ." + classNameHandler.toClassName(componentName) + ":not(." + specificityClassName + ")"
+            return this._createManager(rule, makeTheme, {
+                scopeName: componentName + '-' + themeKey,
+                owner: { component: componentName, theme: themeName },
+                supportsInstanceProps: false, // one theme manager is shared by all instances
+            }, () => styleContext, "static")
+        })
+    }
+    // NOTE: the class is repeated so css props win over rules with a single class (like ".Button" or ".Button span"); rules
+    // as specific or more (like when() subclasses, selectors from parent components, and themes) can still win over them
+    createCssPropManager(cssClassName, makeStyle, getStyleContext = () => null) {
+        const className = classNameHandler.toClassName(cssClassName)
+        const rule = '.' + className + '.' + className
+        return this._createManager(rule, makeStyle, {
+            scopeName: cssClassName,
+            supportsInstanceProps: false, // the same rule is shared by everything with identical css (which is only one component, with dynamic props)
+            owner: { cssProp: cssClassName },
+        }, getStyleContext)
+    }
+    // NOTE: global styles have no selector to start from, so "id" only keeps their styles apart
+    createGlobalManager(makeStyle, id) {
+        return new SharedStyleManager(this, (styleContext) => {
+            return this._createManager("@global " + id, makeStyle, {
+                rootClassLine: (styleContext && styleContext.isShadowRoot) ? ":host" : "",
+                owner: { globalStyle: id },
+                supportsInstanceProps: false, // there are no instances to scope to
+            }, () => styleContext, "global")
+        })
+    }
+    // NOTE: "sheetType" puts all sheets (static and dynamic) in sheets of that type, like "global"
+    _createManager(rule, makeStyle, options, getStyleContext = () => null, sheetType = null) {
+        // NOTE: the backend is looked up every time, since it can be changed after managers are created
+        const getBackend = () => {
+            const styleContext = this._toUsableContext(getStyleContext())
+            return styleContext ? styleContext.backend : this._sheetBackend
+        }
+        // NOTE: backends without global sheets (like custom ones) get static sheets instead
+        const createGlobal = (fullRule, owner) => {
+            const backend = getBackend()
+            return (typeof backend.createGlobalSheet === "function") ? backend.createGlobalSheet(fullRule, owner) : backend.createStaticSheet(fullRule, owner)
+        }
+        const createStatic = (fullRule, owner) => getBackend().createStaticSheet(fullRule, owner)
+        const createDynamic = (fullRule, owner) => getBackend().createDynamicSheet(fullRule, owner)
+        const createSheet = { global: createGlobal, static: createStatic, dynamic: createDynamic }[sheetType]
+        const getRegistry = () => {
+            const styleContext = this._toUsableContext(getStyleContext())
+            return styleContext ? styleContext.registry : StyleManager.defaultRegistry
+        }
+        return new StyleManager(rule, makeStyle, createSheet || createStatic, createSheet || createDynamic, Object.assign({ getRegistry }, options))
+    }
+
+    /* STYLE CONTEXT MANAGEMENT */
+    // returns the style context for target (a shadow root, a document, or any element), creating it if needed
+    // NOTE: themes and global styles that are already applied are applied to new style contexts right away
+    createStyleContext(target) {
+        let styleContext = this._styleContexts.get(target)
+        if (!styleContext) {
+            styleContext = new StyleContext(target)
+            styleContext.backend.batchUpdates = this._batchUpdates !== false
+            this._styleContexts.set(target, styleContext)
+            this._styleContextRefs.add(createWeakRef(styleContext))
+            for (const sharedManager of this._sharedManagers) {
+                sharedManager._applyTo(styleContext)
+            }
+        }
+        return styleContext
+    }
+
+    // removes every sheet written to the style context, and forgets it
+    // NOTE: this is meant for when nothing is mounted in it anymore (like after a widget is removed)
+    removeStyleContext(styleContext) {
+        if (this._styleContexts.get(styleContext.target) === styleContext) {
+            styleContext.registry.reset()
+            this._styleContexts.delete(styleContext.target)
+        }
+    }
+    removeAllStyleContexts() {
+        for (const styleContext of this._getStyleContexts()) {
+            this.removeStyleContext(styleContext)
+        }
+    }
+
+    // returns every registry (the main document's first), with the style context it belongs to
+    getRegistries() {
+        const registries = [{ styleContext: null, registry: StyleManager.defaultRegistry }]
+        for (const styleContext of this._getStyleContexts()) {
+            registries.push({ styleContext, registry: styleContext.registry })
+        }
+        return registries
+    }
+
+    // returns every style context that wasnt removed (or garbage collected)
+    _getStyleContexts() {
+        const styleContexts = []
+        for (const ref of Array.from(this._styleContextRefs)) {
+            const styleContext = ref.deref()
+            if (styleContext && this._styleContexts.get(styleContext.target) === styleContext) {
+                styleContexts.push(styleContext)
+            }
+            else {
+                this._styleContextRefs.delete(ref)
+            }
+        }
+        return styleContexts
+    }
+
+    isStyleContext(value) {
+        return value instanceof StyleContext
+    }
+
+    // NOTE: styles are always collected in one place on servers
+    _toUsableContext(styleContext) {
+        return (styleContext && !this.isCollectingStyles) ? styleContext : null
+    }
+
+    /* SHEET BACKEND MANAGEMENT */
+    _createDefaultBackend() {
+        if (typeof document !== "undefined") {
+            return new sheetBackends.DOMSheetBackend(document)
+        }
+        return new sheetBackends.MemorySheetBackend()
+    }
+
+    // NOTE: sheets are removed from the previous backend, and every manager still using its styles (like for mounted
+    // components, themes and global styles) creates them again in the new one, with the values they had last
+    setSheetBackend(backend) {
+        const liveManagers = StyleManager.defaultRegistry.getStyleUsers()
+        StyleManager.defaultRegistry.reset()
+        this._useBackend(backend)
+        for (const manager of liveManagers) {
+            manager.reinitStyle()
+        }
+    }
+    _useBackend(backend) {
+        this._sheetBackend = backend
+        if (this._batchUpdates !== undefined && "batchUpdates" in backend) {
+            backend.batchUpdates = this._batchUpdates
+        }
+    }
+
+    // renders with a fresh memory backend, and returns whatever renderFn() returns
+    // NOTE: this is meant for servers; componentDidMount() never runs there, which
+    // is why components initialize their styles while rendering during this call
+    // NOTE: all styles start over (components rendered by earlier calls never unmount, so they are forgotten instead),
+    // except for themes and global styles that are applied, which are created again right away
+    collectStyles(renderFn) {
+        StyleManager.resetStyles()
+        this._useBackend(new sheetBackends.MemorySheetBackend())
+        this.isCollectingStyles = true
+        try {
+            for (const sharedManager of this._sharedManagers) {
+                sharedManager.reinitStyle()
+            }
+            return renderFn()
+        }
+        finally {
+            this.isCollectingStyles = false
+        }
+    }
+
+    // runs renderFn(styleContext) with a style context of its own (with a memory backend), and returns the CSS written to it
+    // NOTE: managers renderFn() creates need to use the style context it is given; the current backend and
+    // registries are left alone, so this is safe to call while components are mounted
+    // NOTE: themes and global styles that are currently applied are written first
+    renderStylesInMemory(renderFn) {
+        const styleContext = new StyleContext(null, new sheetBackends.MemorySheetBackend())
+        for (const sharedManager of this._sharedManagers) {
+            sharedManager._applyTo(styleContext)
+        }
+        renderFn(styleContext)
+        return styleContext.backend.getCSS()
+    }
+
+    // NOTE: only backends that batch updates (like the DOM backend) are affected by these
+    setBatchUpdates(enabled) {
+        this._batchUpdates = enabled
+        for (const backend of this._getAllBackends()) {
+            if ("batchUpdates" in backend) {
+                backend.batchUpdates = enabled
+            }
+        }
+    }
+    flushStyleUpdates() {
+        for (const backend of this._getAllBackends()) {
+            if (typeof backend.flush === "function") {
+                backend.flush()
+            }
+        }
+    }
+
+    _getAllBackends() {
+        const styleContexts = this._getStyleContexts()
+        return [this._sheetBackend].concat(styleContexts.map((styleContext) => styleContext.backend))
+    }
+
+    // returns <style> tags with the CSS from the last collectStyles() call
+    getStyleTags() {
+        if (typeof this._sheetBackend.getStyleTags !== "function") {
+            return ""
+        }
+        return this._sheetBackend.getStyleTags()
     }
 }
@@ -0,0 +1,104 @@
+/* MODULE INFO:
+This module keeps track of mixins, which are named, reusable pieces of
+makeStyle() results. Any makeStyle() (or theme, or global style) can include
+them with an "include" key, at any level:
+
+    ReactStyles.mixin("focusRing", (when) => ({
+        [when(":focus-visible")]: {
+            outline: "2px solid royalblue",
+        },
+    }))
+
+    makeStyle(when) {
+        return {
+            include: ["focusRing"],
+            color: "black",
+        }
+    }
+
+Included mixins are expanded before makeStyle() results are parsed, under
+the following requirements:
+    1. Mixins are created from a name and a makeStyle()-like function
+    2. Included mixins are merged into the object that includes them
+        - Mixins merge in the order they are included, and then the object's own props
+        - Objects (like children and when() subclasses) are merged, instead of replaced
+        - Props set again are moved after all props before them, so they also win in CSS
+        - Each makeStyle() result is only expanded once, no matter how many times it is parsed
+    3. Mixins can include other mixins (but not themselves)
+*/
+
+const includeKey = "include"
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    constructor() {
+        this._mixins = {} // name -> makeMixin(when)
+        this._expandedResults = new WeakMap() // makeResult (or an object nested in it) -> the same, with mixins merged in
+    }
+
+    // REQ 1: fulfills requirement 1
+    // NOTE: redefining a mixin only affects styles created afterwards
+    createMixin(name, makeMixin) {
+        this._mixins[name] = makeMixin
+    }
+
+    // REQ 2: fulfills requirement 2
+    // returns makeResult with its (top level) included mixins merged in; the same object is returned if there are none
+    // NOTE: managers parse the same makeResult several times (for static props, dynamic props, keyframes, etc.),
+    // so expanded results are remembered instead of calling every mixin again each time
+    expandIncludes(makeResult, when, includedBy = []) {
+        if (!makeResult || typeof makeResult !== "object" || !(includeKey in makeResult)) {
+            return makeResult
+        }
+        if (this._expandedResults.has(makeResult)) {
+            return this._expandedResults.get(makeResult)
+        }
+
+        let expandedResult = {}
+        const includes = makeResult[includeKey]
+        for (const name of Array.isArray(includes) ? includes : [includes]) {
+            expandedResult = _mergeStyles(expandedResult, this._makeMixin(name, when, includedBy))
+        }
+
+        const ownResult = Object.assign({}, makeResult)
+        delete ownResult[includeKey]
+        expandedResult = _mergeStyles(expandedResult, ownResult)
+        this._expandedResults.set(makeResult, expandedResult)
+        return expandedResult
+    }
+
+    // REQ 3: fulfills requirement 3
+    _makeMixin(name, when, includedBy) {
+        const makeMixin = this._mixins[name]
+        if (typeof makeMixin !== "function") {
+            throw new Error(`Mixin "${name}" was included, but never created (mixins need to be created with ReactStyles.mixin() first)`)
+        }
+        if (includedBy.includes(name)) {
+            throw new Error(`Mixin "${name}" includes itself (${includedBy.concat(name).join(" -> ")})`)
+        }
+        return this.expandIncludes(makeMixin(when), when, includedBy.concat(name))
+    }
+}
+
+// returns a new object with overrides merged into base (objects are merged too, but nothing is changed in place)
+function _mergeStyles(base, overrides) {
+    const merged = Object.assign({}, base)
+    for (const prop in overrides) {
+        const baseValue = merged[prop]
+        let value = overrides[prop]
+        if (prop === includeKey && prop in merged) {
+            // includes in nested objects add up (instead of replacing each other)
+            value = [].concat(baseValue, value)
+        }
+        else if (_isPlainObject(baseValue) && _isPlainObject(value)) {
+            value = _mergeStyles(baseValue, value)
+        }
+        delete merged[prop] // moves the prop to the end
+        merged[prop] = value
+    }
+    return merged
+}
+
+function _isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+}
@@ -1,7 +1,19 @@
 import React from 'react'
 
 import unnamedComponentHandler from './unnamedComponents.mjs'
+import componentNames from './componentNames.mjs'
+import classNameHandler from './classNames.mjs'
 import makeStyleManagerFactory from './makeStyleProcessor.mjs'
+import StyleManager from './styleManager.mjs'
+import sheetBackends from './sheetBackends.mjs'
+import themeRegistry from './themes.mjs'
+import globalStyleRegistry from './globalStyles.mjs'
+import mixinRegistry from './mixins.mjs'
+import tokenRegistry from './tokens.mjs'
+import colorSchemeController from './colorSchemes.mjs'
+import animationHandler from './animations.mjs'
+import styleInspector from './inspector.mjs'
+import styleValidator from './styleValidation.mjs'
 
 // just an alias that allows auto-naming of an error...
 class CustomError extends Error {
@@ -13,9 +25,13 @@ class CustomError extends Error {
 
 
 /* PUBLIC INTERFACE FUNCTIONS */
+// NOTE: auto class naming gives the root element of render() the component's class name
 function disableAutoClassNaming() {
     autoClassNamingEnabled = false
 }
+function enableAutoClassNaming() {
+    autoClassNamingEnabled = true
+}
 
 // NOTE: the global variable CANNOT be disabled permanently;
 // that feature is only intended for incompatible components
@@ -26,15 +42,75 @@ function enableHiddenProps() {
     hiddenPropEnabledGlobally = true
 }
 
+// NOTE: by default, style elements are removed once the last component using them unmounts
+function disableStyleCleanup() {
+    StyleManager.removeUnusedStyles = false
+}
+function enableStyleCleanup() {
+    StyleManager.removeUnusedStyles = true
+}
+
+// NOTE: by default, components with the same name share styles (with a warning in development);
+// this keeps them apart by adding a suffix to the class names of later ones
+// NOTE: components that were already styled keep the names they were given
+function enableUniqueStyleNames() {
+    componentNames.suffixClashingNames = true
+}
+function disableUniqueStyleNames() {
+    componentNames.suffixClashingNames = false
+}
+
+// NOTE: minification only happens in production builds; development always keeps readable class names
+// NOTE: this should be enabled before any component renders
+function enableClassNameMinification() {
+    classNameHandler.minifyEnabled = true
+}
+function disableClassNameMinification() {
+    classNameHandler.minifyEnabled = false
+}
+
+// returns the class name actually used for a readable one (like a when() subclass), minified or not
+// ex: <div className={getClassName("active")} />
+function getClassName(name) {
+    return classNameHandler.toClassName(name)
+}
+
+// returns an object of every readable class name minified so far, to its minified name
+function getClassNameManifest() {
+    return classNameHandler.getManifest()
+}
+// makes minified names match the ones in a manifest from getClassNameManifest() (like one from a server)
+function loadClassNameManifest(manifest) {
+    classNameHandler.loadManifest(manifest)
+}
+
+// sets the unit given to numbers in makeStyle() (like "rem"); the default is "px"
+// NOTE: this only affects styles created (or dynamic props updated) afterwards
+function setDefaultUnit(unit) {
+    StyleManager.defaultUnit = unit
+}
+
+// NOTE: by default, dynamic style updates are written once per animation frame (for all components at once)
+function disableStyleBatching() {
+    makeStyleManagerFactory.setBatchUpdates(false)
+}
+function enableStyleBatching() {
+    makeStyleManagerFactory.setBatchUpdates(true)
+}
+// writes any dynamic style updates waiting for the next animation frame right away
+function flushStyleUpdates() {
+    makeStyleManagerFactory.flushStyleUpdates()
+}
+
 function useAsyncSetState() {
     asyncSetStateEnabled = true
     asyncForceUpdateEnabled = true
 }
 
-// given the associated unnamed component number, this returns the original constructor
-function getUnnamedComponentConstructor(id) {
-    const name = unnamedComponentHandler.prefix + id
-    return unnamedComponentHandler.getConstructor(name)
+// given an unnamed component's class name (or the id after "UnnamedComponent-"), this returns the original constructor
+function getUnnamedComponentConstructor(nameOrId) {
+    return unnamedComponentHandler.getConstructor(nameOrId) ||
+        unnamedComponentHandler.getConstructor(unnamedComponentHandler.prefix + '-' + nameOrId)
 }
 
 // given an html element, this will rerun whatever animation
@@ -44,18 +120,240 @@ function rerunAnimationOn(htmlElement, classNames) {
         classNames = [classNames]
     }
 
+    classNames = classNames.map((name) => classNameHandler.toKnownClassName(name))
+
     htmlElement.classList.remove(...classNames)
     void htmlElement.offsetWidth // a little trick i learned on the interwebs a while ago...
     htmlElement.classList.add(...classNames)
 }
 
+// runs an animation on an html element, and returns a promise that resolves once it ends (to true),
+// or once it is cancelled with promise.cancel() (to false)
+// "animation" is either class name(s) that start it (like rerunAnimationOn()), or options for playing keyframes by name:
+// ex: animate(element, { keyframes: "Fade", component: this, duration: 300, easing: "ease-out", fill: "forwards" })
+// NOTE: "component" (a component, or a component's name) is what declared the keyframes in makeStyle(); leave it out for keyframes from global styles
+// NOTE: "duration" can be left out if the element's CSS has an animation-duration (otherwise this throws)
+function animate(htmlElement, animation) {
+    if (typeof animation === "string" || Array.isArray(animation)) {
+        const classNames = [].concat(animation).map((name) => classNameHandler.toKnownClassName(name))
+        return animationHandler.animateClassNames(htmlElement, classNames)
+    }
+
+    const { keyframes, component = null } = animation
+    const componentName = (typeof component === "string") ? component : (component && component.componentName)
+    const name = componentName ? StyleManager.toScopedName(componentName, keyframes) : classNameHandler.toKnownClassName(keyframes)
+    return animationHandler.animateKeyFrames(htmlElement, name, animation)
+}
+// "steps" are functions that start an animation (like () => animate(...)), run one after another; cancelling stops them all
+function animateInSequence(steps) {
+    return animationHandler.animateInSequence(steps)
+}
+// like animateInSequence(), but all steps run at once (steps can also be animations already started)
+function animateInParallel(steps) {
+    return animationHandler.animateInParallel(steps)
+}
+
+// marks a dynamic makeStyle() property to be calculated for each component instance separately,
+// instead of once for all components of the same name
+function instance(getValue) {
+    return StyleManager.instance(getValue)
+}
+// marks a dynamic makeStyle() property to only be calculated again when what getDeps() returns changes
+// ex: color: dynamic((ref) => darken(ref.state.color), (ref) => [ref.state.color])
+function dynamic(getValue, getDeps) {
+    return StyleManager.dynamic(getValue, getDeps)
+}
+
+// creates a theme from an object of { ComponentName: makeTheme(when) } pairs
+function createTheme(makeThemes, name = null) {
+    return themeRegistry.createTheme(makeThemes, name)
+}
+
+// themes can be applied/removed at any time; later applied themes take priority
+function applyTheme(theme) {
+    themeRegistry.applyTheme(theme)
+}
+function removeTheme(theme) {
+    themeRegistry.removeTheme(theme)
+}
+
+// creates a mixin that makeStyle() results can include, like { include: ["focusRing"] }
+function mixin(name, makeMixin) {
+    mixinRegistry.createMixin(name, makeMixin)
+}
+
+// registers a theme for a color scheme; "light" and "dark" ones follow the system's preference automatically
+// ex: registerColorScheme("dark", createTheme({ ... }))
+function registerColorScheme(name, theme) {
+    colorSchemeController.registerColorScheme(name, theme)
+}
+// applies a color scheme picked by the user (and saves the choice); null follows the system again
+function setColorScheme(name) {
+    colorSchemeController.setColorScheme(name)
+}
+function getColorScheme() {
+    return colorSchemeController.colorScheme
+}
+// replaces where the user's color scheme choice is saved; storage needs get(key), set(key, value) and remove(key)
+function setColorSchemeStorage(storage) {
+    colorSchemeController.setStorage(storage)
+}
+// calls listener(schemeName) whenever the color scheme changes; returns a function that stops this
+function onColorSchemeChange(listener) {
+    return colorSchemeController.addListener(listener)
+}
+
+// applies styles outside of any component right away, using makeStyle() syntax (like for body or @font-face)
+// NOTE: the returned global style can be given to removeGlobalStyle() later
+function globalStyle(makeStyle) {
+    return globalStyleRegistry.addGlobalStyle(makeStyle)
+}
+function removeGlobalStyle(globalStyle) {
+    globalStyleRegistry.removeGlobalStyle(globalStyle)
+}
+// calculates a global style's dynamic properties again
+function updateGlobalStyle(globalStyle) {
+    globalStyleRegistry.updateGlobalStyle(globalStyle)
+}
+
+// defines (or changes) tokens, which are written to :root as CSS custom properties
+// ex: defineTokens({ colorPrimary: "#06f", spacing: { sm: 4 } })
+function defineTokens(tokens) {
+    tokenRegistry.defineTokens(tokens)
+}
+// refers to a token in makeStyle(); token("spacing.sm") gives "var(--spacing-sm)"
+function token(path, fallback) {
+    return tokenRegistry.token(path, fallback)
+}
+
+
+// returns the style context for target (a shadow root, an iframe's document, or any element), which
+// components can write their styles to instead of the main document (see StyleRoot)
+function createStyleContext(target) {
+    return makeStyleManagerFactory.createStyleContext(target)
+}
+// removes every style written to a style context (like after the widget using it is removed)
+function removeStyleContext(styleContext) {
+    makeStyleManagerFactory.removeStyleContext(styleContext)
+}
+
+// components rendered inside write their styles to "target" (or "context", from createStyleContext()) instead of the main document
+// ex: <StyleRoot target={shadowRoot}><Widget /></StyleRoot>
+// NOTE: without either (like while a shadow root is still being created), styles go to the main document
+function StyleRoot({ target = null, context = null, children }) {
+    const styleContext = context || (target ? createStyleContext(target) : null)
+    const value = React.useMemo(() => ({ styleContext, parentClassName: null }), [styleContext])
+    return React.createElement(ReactStylesContext.Provider, { value }, children)
+}
+
+// replaces where CSS is written to (see sheetBackends.mjs)
+// NOTE: styles still in use (by mounted components, themes and global styles) are created again in the new backend
+function setSheetBackend(backend) {
+    makeStyleManagerFactory.setSheetBackend(backend)
+}
+
+// renders (on a server) while collecting all generated CSS; use getStyleTags() afterwards to get it
+// ex: const html = collectStyles(() => ReactDOMServer.renderToString(<App />))
+function collectStyles(renderFn) {
+    return makeStyleManagerFactory.collectStyles(renderFn)
+}
+function getStyleTags() {
+    return makeStyleManagerFactory.getStyleTags()
+}
+
+
+/* DEBUGGING UTILITIES */
+// returns every generated rule (by base rule), with what owns it, whether it is static or dynamic, and its current CSS
+function inspect() {
+    return styleInspector.inspect()
+}
+// returns the generated rules that match an html element
+function inspectElement(htmlElement) {
+    return styleInspector.inspectElement(htmlElement)
+}
+// like inspectElement(), but also prints the rules as a table in the console
+function logElementStyles(htmlElement) {
+    return styleInspector.logElementStyles(htmlElement)
+}
+
+
+/* TESTING UTILITIES */
+// returns the (normalized) CSS a component class generates, without rendering it or needing a DOM
+// ex: expect(testing.renderStyles(Button, { instance: { props: { big: true } } })).toMatchSnapshot()
+// NOTE: "instance" fields (like props or state) are set on the component before dynamic properties run
+// NOTE: themes and global styles that are applied are included, and styles already on the page are left alone
+function renderStyles(ComponentClass, { instance = {} } = {}) {
+    const cssText = makeStyleManagerFactory.renderStylesInMemory((styleContext) => {
+        const component = new ComponentClass(instance.props || {})
+        Object.assign(component, instance)
+        component[RSKey].styleContext = styleContext
+        const styleManager = component[RSKey].styleManager
+        styleManager.initStyle()
+        styleManager.updateDynamicStyles(component)
+        themeRegistry.updateDynamicStylesIn(styleContext, component)
+    })
+    return _normalizeCSS(cssText)
+}
+
+// removes all styles (including themes and global styles), and forgets every component that was styled (like between tests)
+function resetAllStyles() {
+    globalStyleRegistry.removeAllGlobalStyles()
+    tokenRegistry.reset()
+    colorSchemeController.reset()
+    themeRegistry.removeAllThemes()
+    makeStyleManagerFactory.removeAllStyleContexts()
+    StyleManager.resetStyles()
+    componentNames.reset()
+    styleValidator.reset()
+}
+
+// puts CSS in a stable, readable form (one declaration per line, indented by nesting)
+function _normalizeCSS(cssText) {
+    let depth = 0
+    const lines = []
+    for (const line of cssText.split('\n')) {
+        if (line === "") {
+            continue
+        }
+        else if (line === '}') {
+            depth--
+            lines.push("    ".repeat(depth) + '}')
+        }
+        else if (line[line.length - 1] === '{') {
+            // NOTE: rules wrapped in at-rules open all of their blocks on the same line
+            for (const rule of line.slice(0, -1).split('{')) {
+                lines.push("    ".repeat(depth) + rule + " {")
+                depth++
+            }
+        }
+        else if (line[0] === '@') {
+            lines.push("    ".repeat(depth) + line) // statements (like @import)
+        }
+        else {
+            const colonIdx = line.indexOf(':')
+            const prop = line.slice(0, colonIdx)
+            const value = line.slice(colonIdx + 1).trim()
+            lines.push("    ".repeat(depth) + prop + ": " + value)
+        }
+    }
+    return lines.join('\n')
+}
+
 
 /* LIBRARY PRIVATE VARIABLES */
-let autoClassNamingEnabled = false // NOTE: this feature is not currently supported; check XXX tag in _bindRender()
+let autoClassNamingEnabled = true
 let hiddenPropEnabledGlobally = true
 
 // used to access React Styles properties in components (or JSX representations)
 const RSKey = Symbol()
+// provides what React Styles components need to know from the components above them:
+//   styleContext: the style context (see createStyleContext()) components below a <StyleRoot> write their styles to
+//   parentClassName: class names for components returned directly from render() (see _addAutoClassNames())
+// NOTE: a context is used instead of a prop, so the class names never show up in the component's props
+const ReactStylesContext = React.createContext({ styleContext: null, parentClassName: null })
+// used to tell components from React.memo() and React.forwardRef() apart from others (see withStyle())
+const memoType = React.memo(() => null).$$typeof
+const forwardRefType = React.forwardRef((props, ref) => null).$$typeof
 
 let asyncSetStateEnabled = false
 let asyncForceUpdateEnabled = false
@@ -73,20 +371,28 @@ class HiddenPropDisabledError extends CustomError {
 // main mixin to add React Styles features to any base component class "ReactClass"
 function MyComponentFrom(ReactClass) {
     return class extends ReactClass {
+        // lets parent components know class names can be chained through this one
+        static get [RSKey]() {
+            return true
+        }
+
         constructor(props) {
             super(props)
 
             // initializes a secret object for any React Styles implemented properties
             this[RSKey] = {
                 // React Styles uses this as the root for CSS rules it generates
-                componentName: this.constructor.name || unnamedComponentHandler.generateName(this.constructor),
+                componentName: componentNames.getName(this.constructor),
                 hiddenPropEnabled: true, // 'false' means disabled; 'null' means permanently disabled
+                styleContext: null, // set from ReactStylesContext whenever the component renders
+                parentClassName: null,
 
                 // references to originally defined lifecycle functions (to be wrapped later)
                 // NOTE: .call() will need to be used on these since they are in a container object
                 originalRender: this.render,
                 originalComponentDidMount: this.componentDidMount,
                 originalComponentDidUpdate: this.componentDidUpdate,
+                originalComponentWillUnmount: this.componentWillUnmount,
                 originalSetState: this.setState,
                 originalForceUpdate: this.forceUpdate,
             }
@@ -94,7 +400,7 @@ function MyComponentFrom(ReactClass) {
             _bindLifecycleWrappersFor(this)
 
             // makeStyle manager for this instance
-            this[RSKey].styleManager = makeStyleManagerFactory.createComponentManager(this)
+            this[RSKey].styleManager = makeStyleManagerFactory.createComponentManager(this, () => _getStyleContextOf(this))
         }
 
         // returns a unique name that identifies the base for CSS classes
@@ -118,7 +424,7 @@ function MyComponentFrom(ReactClass) {
         }
 
         forceUpdateStyles() {
-            this[RSKey].styleManager.updateDynamicStyles()
+            _updateDynamicStylesFor(this)
         }
     }
 }
@@ -129,6 +435,7 @@ function _bindLifecycleWrappersFor(componentInstance) {
     _bindRender(componentInstance)
     _bindComponentDidMount(componentInstance)
     _bindComponentDidUpdate(componentInstance)
+    _bindComponentWillUnmount(componentInstance)
 
     if (asyncSetStateEnabled) {
         _bindSetState(componentInstance)
@@ -145,99 +452,119 @@ function _bindRender(component) {
     if (typeof origRender === "function") {
         component.render = () => {
             const fullResult = origRender.call(component)
-            if (!fullResult || typeof fullResult !== "object") {
-                // no further processing needed
-                return fullResult
-            }
+            // NOTE: class components can only read a context through "contextType" (which belongs to the component), so a consumer is used
+            return React.createElement(ReactStylesContext.Consumer, null, ({ styleContext, parentClassName }) => {
+                component[RSKey].styleContext = styleContext
+                component[RSKey].parentClassName = parentClassName
+                _initStyleWhenCollecting(component)
+                return _processRenderResult(component, fullResult)
+            })
+        }
+    }
+}
 
-            // define some secret properties...
-            // NOTE: props must be used so the component instance can detect this
-            // XXX: this does not work in strict mode for react; auto class naming feature
-            // cannot work until this is resolved
-            /*
-            fullResult.props[RSKey] = {
-                parentClassName: "", // used to chain className handling if render() returned a component
-            }
-            */
-
-            // disables hidden prop on structures that cant support it
-            // NOTE: arrays do not have props.style attributes; this breaks hidden prop
-            if (Array.isArray(fullResult)) {
-                if (component[RSKey].hiddenPropEnabled && console && console.warn) {
-                    const name = component.componentName
-                    console.warn(`Arrays returned from render() cannot use "hidden" prop. This feature will be disabled in component <${name} />. (To mute this message, disable hidden prop in component constructor.)`)
-                }
-                component[RSKey].hiddenPropEnabled = null // disables permanently
-            }
-            // NOTE: fragments do not have corresponding DOM elements; this breaks hidden prop
-            else if (fullResult.type === React.Fragment) {
-                if (component[RSKey].hiddenPropEnabled && console && console.warn) {
-                    const name = component.componentName
-                    console.warn(`React.Fragments returned from render() cannot use "hidden" prop. This feature will be disabled in component <${name} />. (To mute this message, disable hidden prop in component constructor.)`)
-                }
-                component[RSKey].hiddenPropEnabled = null // disables permanently
-            }
+// handles everything React Styles does with render() results (also used for function components)
+function _processRenderResult(component, fullResult) {
+    if (!fullResult || typeof fullResult !== "object") {
+        // no further processing needed
+        return fullResult
+    }
 
-            // NOTE: auto class naming is disabled
-            /*
-            const isElement = typeof fullResult.type === "string"
-            const isComponent = typeof fullResult.type === "function"
-            // apply className to elements if not given
-            if (isElement) {
-                if (autoClassNamingEnabled) {
-                    if (!fullResult.props.className) {
-                        fullResult.props.className = component.componentName
-                    }
-                }
+    // disables hidden prop on structures that cant support it
+    // NOTE: arrays do not have props.style attributes; this breaks hidden prop
+    if (Array.isArray(fullResult)) {
+        if (component[RSKey].hiddenPropEnabled && console && console.warn) {
+            const name = component.componentName
+            console.warn(`Arrays returned from render() cannot use "hidden" prop. This feature will be disabled in component <${name} />. (To mute this message, disable hidden prop in component constructor.)`)
+        }
+        component[RSKey].hiddenPropEnabled = null // disables permanently
+    }
+    // NOTE: fragments do not have corresponding DOM elements; this breaks hidden prop
+    else if (fullResult.type === React.Fragment) {
+        if (component[RSKey].hiddenPropEnabled && console && console.warn) {
+            const name = component.componentName
+            console.warn(`React.Fragments returned from render() cannot use "hidden" prop. This feature will be disabled in component <${name} />. (To mute this message, disable hidden prop in component constructor.)`)
+        }
+        component[RSKey].hiddenPropEnabled = null // disables permanently
+    }
 
-                // grabs class name sent from parent (which happens if parent render() returned this directly)
-                // NOTE: this is what does the actual "chaining" for component class names
-                const parentClassName = component.props[RSKey].parentClassName
-                if (parentClassName) {
-                    fullResult.props.className += ' ' + parentClassName
-                }
-            }
-            // tell the child component instance (through props) to apply this className
-            else if (isComponent) {
-                fullResult.props[RSKey].parentClassName = component.componentName
-                // chain other classNames if this was rendered directly by parent too
-                const parentClassName = component.props[RSKey].parentClassName
-                if (parentClassName) {
-                    fullResult.props[RSKey].className += ' ' + parentClassName
-                }
-            }
-            */
+    let result = fullResult
+    if (autoClassNamingEnabled) {
+        result = _addAutoClassNames(component, result)
+    }
+    result = _addInstanceClassName(component, result)
+    result = _handleHiddenProp(component, result)
+    result = _handleCssProp(component, result)
+    // NOTE: this has to come after everything above, since they look for readable class names
+    if (classNameHandler.isMinifying) {
+        result = _minifyClassNames(result, _getMinifiableClassNames(component))
+    }
+    // NOTE: this has to come last, since it wraps the result
+    result = _provideParentClassName(component, result)
+    return result
+}
 
-            _handleHiddenProp(component, fullResult)
-            return fullResult
-        }
+// NOTE: componentDidMount() never runs on a server, so styles are initialized while rendering instead
+function _initStyleWhenCollecting(component) {
+    if (makeStyleManagerFactory.isCollectingStyles && !component[RSKey].stylesCollected) {
+        component[RSKey].stylesCollected = true
+        component[RSKey].styleManager.initStyle()
+        _updateDynamicStylesFor(component)
     }
 }
 
 // used to initialize makeStyle() properties
+// NOTE: unlike other bind functions, this always wraps (styles are needed even without a defined mount function)
 function _bindComponentDidMount(component) {
     const origMount = component[RSKey].originalComponentDidMount
-    if (typeof origMount === "function") {
-        component.componentDidMount = () => {
-            const styleManager = component[RSKey].styleManager
-            styleManager.initStyle() // before calling mount because static props should not rely on results from mount
-            origMount.call(component)
-            styleManager.updateDynamicStyles()
+    component.componentDidMount = (...args) => {
+        component[RSKey].styleManager.initStyle() // before calling mount because static props should not rely on results from mount
+        if (typeof origMount === "function") {
+            origMount.call(component, ...args)
         }
+        _updateDynamicStylesFor(component)
     }
 }
 
 // used to update dynamic makeStyle() properties
+// NOTE: always wraps, for the same reason as _bindComponentDidMount()
 function _bindComponentDidUpdate(component) {
     const origUpdate = component[RSKey].originalComponentDidUpdate
-    if (typeof origUpdate === "function") {
-        component.componentDidUpdate = () => {
-            origUpdate.call(component)
-            component[RSKey].styleManager.updateDynamicStyles()
+    component.componentDidUpdate = (...args) => {
+        if (typeof origUpdate === "function") {
+            origUpdate.call(component, ...args)
         }
+        _updateDynamicStylesFor(component)
     }
 }
 
+// used to clean up makeStyle() style elements
+// NOTE: always wraps, for the same reason as _bindComponentDidMount()
+function _bindComponentWillUnmount(component) {
+    const origUnmount = component[RSKey].originalComponentWillUnmount
+    component.componentWillUnmount = (...args) => {
+        if (typeof origUnmount === "function") {
+            origUnmount.call(component, ...args)
+        }
+        component[RSKey].styleManager.releaseStyle()
+        themeRegistry.forgetInstance(component)
+        _releaseCssProp(component)
+    }
+}
+
+// NOTE: components only find out their style context when they render, so this is looked up when styles are needed
+function _getStyleContextOf(component) {
+    const styleContext = component[RSKey].styleContext
+    return makeStyleManagerFactory.isStyleContext(styleContext) ? styleContext : null
+}
+
+// updates dynamic properties from makeStyle() and any applied themes (and applies the css prop)
+function _updateDynamicStylesFor(component) {
+    component[RSKey].styleManager.updateDynamicStyles(component)
+    themeRegistry.updateDynamicStyles(component)
+    _applyCssProp(component)
+}
+
 // provides async/await functionality for setState()
 function _bindSetState(component) {
     const origSetState = component[RSKey].originalSetState
@@ -289,27 +616,255 @@ function _bindForceUpdate(component) {
     }
 }
 
+// NOTE: returns a copy of renderResult, since JSX props cannot be modified
 function _handleHiddenProp(component, renderResult) {
     // check if hidden prop is enabled globally and for the component type
     if (!hiddenPropEnabledGlobally || !component[RSKey].hiddenPropEnabled) {
-        return
+        return renderResult
+    }
+
+    // update display prop according to hidden prop
+    if (!component.props.hidden) {
+        return renderResult
     }
 
-    // get the correct JSX child hiding (determined by checking class name)
-    const childHiding = _getChildJSXWithClass(component.componentName, renderResult)
-    if (!childHiding) {
-        return
+    // update the correct JSX child hiding (determined by checking class name)
+    return _mapChildJSXWithClass(component.componentName, renderResult, (childHiding) => {
+        const style = Object.assign({}, childHiding.props.style, { display: "none" })
+        return React.cloneElement(childHiding, { style })
+    })
+}
+
+// NOTE: returns a copy of renderResult, since JSX props cannot be modified
+function _handleCssProp(component, renderResult) {
+    const cssProp = _getCssProp(component)
+    if (!cssProp) {
+        return renderResult
     }
 
-    // ensure props.style is an editable object
-    if (typeof childHiding.props.style !== "object" || childHiding.props.style === null) {
-        childHiding.props.style = {}
+    // the same element the hidden prop applies to is given the css prop's class
+    return _mapChildJSXWithClass(component.componentName, renderResult, (jsxElement) => {
+        const className = _mergeClassNames(jsxElement.props.className, [cssProp.className])
+        return React.cloneElement(jsxElement, { className })
+    })
+}
+
+// returns the class name and manager for the component's css prop (or null without one)
+// NOTE: identical css gets the same class name (see StyleManager.toContentClassName()), so their
+// managers share one rule; a new manager is only made when the css prop's contents change
+// NOTE: css with dynamic properties gets a class name of its own for each component, since the values can differ
+function _getCssProp(component) {
+    const css = component.props && component.props.css
+    if (!css) {
+        return null
     }
 
-    // update display prop according to hidden prop
-    if (component.props.hidden) {
-        childHiding.props.style.display = "none"
+    let cssProp = component[RSKey].cssProp
+    if (!cssProp || cssProp.css !== css) {
+        const className = StyleManager.toContentClassName(css, component)
+        if (!cssProp || cssProp.className !== className) {
+            // NOTE: cssProp.css is read every time, so dynamic properties always use the latest functions
+            const makeStyle = (when) => (typeof cssProp.css === "function") ? cssProp.css(when) : cssProp.css
+            const manager = makeStyleManagerFactory.createCssPropManager(className, makeStyle, () => _getStyleContextOf(component))
+            cssProp = component[RSKey].cssProp = { css, className, manager }
+        }
+        cssProp.css = css
+    }
+    return cssProp
+}
+
+// initializes the css prop's styles (and releases the ones of an older css prop)
+// NOTE: this happens when components mount or update, like it does for makeStyle()
+function _applyCssProp(component) {
+    const cssProp = _getCssProp(component)
+    const manager = cssProp ? cssProp.manager : null
+    const appliedManager = component[RSKey].appliedCssPropManager || null
+    if (manager !== appliedManager) {
+        if (manager) {
+            manager.initStyle()
+        }
+        if (appliedManager) {
+            appliedManager.releaseStyle()
+        }
+        component[RSKey].appliedCssPropManager = manager
     }
+    if (manager) {
+        manager.updateDynamicStyles(component)
+    }
+}
+
+function _releaseCssProp(component) {
+    const appliedManager = component[RSKey].appliedCssPropManager
+    if (appliedManager) {
+        appliedManager.releaseStyle()
+        component[RSKey].appliedCssPropManager = null
+    }
+}
+
+// gives the root element the component's class name (and any passed from parents), or
+// passes them on to the root component if it is a React Styles component
+function _addAutoClassNames(component, renderResult) {
+    // NOTE: arrays and fragments have no single root element to give class names to
+    if (Array.isArray(renderResult) || !React.isValidElement(renderResult) || renderResult.type === React.Fragment) {
+        return renderResult
+    }
+
+    // NOTE: class names given by hand (even to elements other than the root) are respected
+    const classNames = []
+    if (!_getChildJSXWithClass(component.componentName, renderResult)) {
+        classNames.push(component.componentName)
+        const instanceClassName = component[RSKey].styleManager.instanceClassName
+        if (instanceClassName) {
+            classNames.push(instanceClassName)
+        }
+        // NOTE: the css prop's class goes with the component's class name (see _handleCssProp()), so it chains too
+        const cssProp = _getCssProp(component)
+        if (cssProp) {
+            classNames.push(cssProp.className)
+        }
+    }
+    // NOTE: this is what does the actual "chaining" for component class names
+    const parentClassName = component[RSKey].parentClassName
+    if (parentClassName) {
+        classNames.push(parentClassName)
+    }
+
+    if (classNames.length === 0) {
+        return renderResult
+    }
+
+    const isElement = typeof renderResult.type === "string"
+    const isStylesComponent = !isElement && renderResult.type[RSKey] === true
+    if (isElement) {
+        const className = _mergeClassNames(renderResult.props.className, classNames)
+        return React.cloneElement(renderResult, { className })
+    }
+    // tell the child component instance (through _provideParentClassName()) to apply these class names too
+    else if (isStylesComponent) {
+        component[RSKey].chainedClassName = _mergeClassNames("", classNames)
+    }
+    return renderResult
+}
+
+// passes class names on to the root component, if _addAutoClassNames() chained any to it
+// NOTE: class names given to this component are also kept from reaching components further down
+function _provideParentClassName(component, renderResult) {
+    const chainedClassName = component[RSKey].chainedClassName || null
+    component[RSKey].chainedClassName = null
+    if (!chainedClassName && !component[RSKey].parentClassName) {
+        return renderResult
+    }
+    // NOTE: the same value is given again when nothing changed, so the components below dont update for nothing
+    const styleContext = component[RSKey].styleContext
+    let value = component[RSKey].providedValue
+    if (!value || value.styleContext !== styleContext || value.parentClassName !== chainedClassName) {
+        value = component[RSKey].providedValue = { styleContext, parentClassName: chainedClassName }
+    }
+    return React.createElement(ReactStylesContext.Provider, { value }, renderResult)
+}
+
+// adds class names (from space separated strings) that className does not have yet
+function _mergeClassNames(className, newClassNames) {
+    const classNames = (typeof className === "string" && className) ? className.split(' ') : []
+    for (const newClassName of newClassNames.join(' ').split(' ')) {
+        if (!classNames.includes(newClassName)) {
+            classNames.push(newClassName)
+        }
+    }
+    return classNames.join(' ')
+}
+
+// gives the element with the component's class name the class for instance() properties
+function _addInstanceClassName(component, renderResult) {
+    const instanceClassName = component[RSKey].styleManager.instanceClassName
+    if (!instanceClassName) {
+        return renderResult
+    }
+
+    return _mapChildJSXWithClass(component.componentName, renderResult, (jsxElement) => {
+        const className = _mergeClassNames(jsxElement.props.className, [instanceClassName])
+        return React.cloneElement(jsxElement, { className })
+    })
+}
+
+// like _getChildJSXWithClass(), but returns a copy of the JSX with that child replaced by mapElement(child)
+// NOTE: React freezes props, so every parent of the child needs to be cloned too
+function _mapChildJSXWithClass(className, jsxElementOrArray, mapElement) {
+    const childFound = _getChildJSXWithClass(className, jsxElementOrArray)
+    if (!childFound) {
+        return jsxElementOrArray
+    }
+    return _replaceChildJSX(jsxElementOrArray, childFound, mapElement(childFound))
+}
+
+// returns the readable class names a component's render result can have minified: the ones React Styles gave
+// it, and the ones its makeStyle() uses (like when() subclasses)
+// NOTE: other class names (like ones for other stylesheets) are left alone, even when they match a component's name
+function _getMinifiableClassNames(component) {
+    const names = new Set(component[RSKey].styleManager.classNames)
+    names.add(component.componentName)
+    const parentClassName = component[RSKey].parentClassName
+    if (parentClassName) {
+        for (const name of parentClassName.split(' ')) {
+            names.add(name)
+        }
+    }
+    const cssProp = _getCssProp(component)
+    if (cssProp) {
+        names.add(cssProp.className)
+    }
+    return names
+}
+
+// replaces the readable class names in "names" with minified ones, in elements at any depth
+// NOTE: names that were never minified (like instance class names) are kept as they are
+// NOTE: like _replaceChildJSX(), the same object is returned when nothing changes
+function _minifyClassNames(jsxElementOrArray, names) {
+    if (Array.isArray(jsxElementOrArray)) {
+        const newArray = jsxElementOrArray.map((jsxElement) => _minifyClassNames(jsxElement, names))
+        const anyReplaced = newArray.some((jsxElement, idx) => jsxElement !== jsxElementOrArray[idx])
+        return anyReplaced ? newArray : jsxElementOrArray
+    }
+
+    const jsxElement = jsxElementOrArray
+    if (!jsxElement || typeof jsxElement !== "object" || !jsxElement.props) {
+        return jsxElement
+    }
+    const newProps = {}
+    const className = jsxElement.props.className
+    if (typeof className === "string") {
+        const minifiedClassName = className.split(' ').map((name) => names.has(name) ? classNameHandler.toKnownClassName(name) : name).join(' ')
+        if (minifiedClassName !== className) {
+            newProps.className = minifiedClassName
+        }
+    }
+    const children = jsxElement.props.children
+    const newChildren = _minifyClassNames(children, names)
+    if (newChildren !== children) {
+        newProps.children = newChildren
+    }
+    return (Object.keys(newProps).length > 0) ? React.cloneElement(jsxElement, newProps) : jsxElement
+}
+
+// returns the same object when oldChild is not in jsxElementOrArray
+function _replaceChildJSX(jsxElementOrArray, oldChild, newChild) {
+    if (jsxElementOrArray === oldChild) {
+        return newChild
+    }
+
+    if (Array.isArray(jsxElementOrArray)) {
+        const newArray = jsxElementOrArray.map((jsxElement) => _replaceChildJSX(jsxElement, oldChild, newChild))
+        const anyReplaced = newArray.some((jsxElement, idx) => jsxElement !== jsxElementOrArray[idx])
+        return anyReplaced ? newArray : jsxElementOrArray
+    }
+
+    const jsxElement = jsxElementOrArray
+    if (!jsxElement || typeof jsxElement !== "object") {
+        return jsxElement
+    }
+    const children = jsxElement.props.children
+    const newChildren = _replaceChildJSX(children, oldChild, newChild)
+    return (newChildren !== children) ? React.cloneElement(jsxElement, { children: newChildren }) : jsxElement
 }
 
 function _getChildJSXWithClass(className, jsxElementOrArray) {
@@ -346,6 +901,116 @@ function _getChildJSXWithClass(className, jsxElementOrArray) {
     return null // never found anything in children either...
 }
 
+/* FUNCTION COMPONENT DEFINITION */
+// runs makeStyle() for a function component, and returns the class name(s) its root element should use
+// NOTE: "props" are optional; they are given to dynamic properties as "ref.props"
+function useStyle(componentName, makeStyle, props = {}) {
+    const styleRef = _useStyleRef(componentName, makeStyle, props)
+    const classNames = [classNameHandler.toClassName(componentName)]
+    const instanceClassName = styleRef[RSKey].styleManager.instanceClassName
+    if (instanceClassName) {
+        classNames.push(instanceClassName)
+    }
+    const cssProp = _getCssProp(styleRef)
+    if (cssProp) {
+        classNames.push(classNameHandler.toClassName(cssProp.className))
+    }
+    return classNames.join(' ')
+}
+
+// wraps a function component so it is styled (and handles the hidden prop) like class components are
+// NOTE: like with class components, the element rendered with the component's class name is the one affected
+// NOTE: components from React.memo() and React.forwardRef() are wrapped the same way, and the result is too
+function withStyle(FnComponent, makeStyle) {
+    if (FnComponent && FnComponent.$$typeof === memoType) {
+        const MemoComponent = React.memo(withStyle(FnComponent.type, makeStyle), FnComponent.compare)
+        MemoComponent[RSKey] = true
+        return MemoComponent
+    }
+    const isForwardRef = Boolean(FnComponent) && FnComponent.$$typeof === forwardRefType
+    const renderFn = isForwardRef ? FnComponent.render : FnComponent
+    if (typeof renderFn !== "function" || (renderFn.prototype && renderFn.prototype.isReactComponent)) {
+        throw new Error(`withStyle() only takes function components (and React.memo() or React.forwardRef() ones); extend ReactStyles.Component to style class components instead`)
+    }
+
+    const componentName = componentNames.getName(renderFn)
+    // NOTE: the function runs as its own component (so its hooks are kept apart from React Styles' own),
+    // but is called directly there, so its result can be processed like render() results
+    const StyledRender = ({ styleRef, props, forwardedRef }) => {
+        const fullResult = isForwardRef ? renderFn(props, forwardedRef) : renderFn(props)
+        return _processRenderResult(styleRef, fullResult)
+    }
+    StyledRender.displayName = componentName
+
+    let StyledComponent = (props, ref) => {
+        const styleRef = _useStyleRef(componentName, makeStyle, props)
+        return React.createElement(StyledRender, { styleRef, props, forwardedRef: isForwardRef ? ref : null })
+    }
+    StyledComponent.displayName = `withStyle(${componentName})`
+    if (isForwardRef) {
+        StyledComponent = React.forwardRef(StyledComponent)
+    }
+    StyledComponent[RSKey] = true // same as class components
+    return StyledComponent
+}
+
+// NOTE: layout effects apply styles before the browser paints, but React warns when they are used on a server
+const _useLayoutEffect = (typeof document !== "undefined") ? React.useLayoutEffect : React.useEffect
+
+// drives the same style lifecycle class components have, using a "style ref" in place of the component instance
+function _useStyleRef(componentName, makeStyle, props) {
+    const ref = React.useRef(null)
+    if (!ref.current) {
+        ref.current = _createStyleRef(componentName)
+    }
+    const styleRef = ref.current
+    // NOTE: the latest values are always used, so dynamic properties never see old ones
+    styleRef.props = props
+    const { styleContext, parentClassName } = React.useContext(ReactStylesContext)
+    styleRef[RSKey].styleContext = styleContext
+    styleRef[RSKey].parentClassName = parentClassName
+    styleRef[RSKey].makeStyle = makeStyle
+
+    _initStyleWhenCollecting(styleRef)
+
+    // mount and update
+    // NOTE: initStyle() only parses dynamic properties again after the first time; this picks up
+    // new dynamic property functions (which might use newer variables from the function component)
+    _useLayoutEffect(() => {
+        styleRef[RSKey].styleManager.initStyle()
+        _updateDynamicStylesFor(styleRef)
+    })
+    // unmount
+    _useLayoutEffect(() => {
+        return () => {
+            styleRef[RSKey].styleManager.releaseStyle()
+            themeRegistry.forgetInstance(styleRef)
+            _releaseCssProp(styleRef)
+        }
+    }, [])
+
+    return styleRef
+}
+
+// creates an object that looks enough like a component instance for style managers, themes, and render processing
+function _createStyleRef(componentName) {
+    const styleRef = {
+        componentName,
+        props: {},
+        makeStyle: (when) => styleRef[RSKey].makeStyle(when),
+        [RSKey]: {
+            componentName,
+            hiddenPropEnabled: true,
+            makeStyle: null,
+            styleContext: null,
+            parentClassName: null,
+        },
+    }
+    styleRef[RSKey].styleManager = makeStyleManagerFactory.createComponentManager(styleRef, () => _getStyleContextOf(styleRef))
+    return styleRef
+}
+
+
 // wraps and exports React components
 const Component = MyComponentFrom(React.Component)
 const PureComponent = MyComponentFrom(React.PureComponent)
@@ -354,6 +1019,18 @@ export default {
     Component, PureComponent,
     HiddenPropDisabledError,
     
-    disableAutoClassNaming, disableHiddenProps, enableHiddenProp: enableHiddenProps,
-    useAsyncSetState, getUnnamedComponentConstructor, rerunAnimationOn,
+    disableAutoClassNaming, enableAutoClassNaming, disableHiddenProps, enableHiddenProp: enableHiddenProps,
+    disableStyleCleanup, enableStyleCleanup, disableStyleBatching, enableStyleBatching, flushStyleUpdates,
+    enableUniqueStyleNames, disableUniqueStyleNames, setDefaultUnit,
+    enableClassNameMinification, disableClassNameMinification, getClassName, getClassNameManifest, loadClassNameManifest,
+    useAsyncSetState, getUnnamedComponentConstructor, rerunAnimationOn, animate, animateInSequence, animateInParallel,
+    instance, dynamic, mixin, createTheme, applyTheme, removeTheme, globalStyle, removeGlobalStyle, updateGlobalStyle,
+    defineTokens, token,
+    registerColorScheme, setColorScheme, getColorScheme, setColorSchemeStorage, onColorSchemeChange,
+    useStyle, withStyle,
+    StyleRoot, createStyleContext, removeStyleContext,
+    collectStyles, getStyleTags, setSheetBackend,
+    DOMSheetBackend: sheetBackends.DOMSheetBackend, MemorySheetBackend: sheetBackends.MemorySheetBackend,
+    inspect, inspectElement, logElementStyles,
+    testing: { renderStyles, resetAllStyles },
 }
@@ -0,0 +1,433 @@
+/* MODULE INFO:
+This module provides the "backends" StyleManager writes its CSS to. A style
+manager never touches <style> elements directly; instead, it asks a backend
+for "sheets", which each hold a single CSS rule and only need to support two
+operations:
+
+    sheet.write(ruleLine, declarations) // replaces the sheet's rule
+    sheet.remove()                      // removes the sheet from wherever it is stored
+
+A rule line is the selector of the rule, which may be wrapped in at-rules
+(like "@media (max-width: 600px){.ComponentName div"). Declarations are
+an object of CSS props to values, or for keyframes, an object of key times
+to objects of CSS props to values. Statements (like "@import url(...)") have
+null declarations. Sheets are created as "global", "static" or "dynamic"
+sheets, which always come in that order in the final CSS (so global styles
+come before all component styles). Statements that CSS only allows at the
+start of a stylesheet (@charset, @import and @namespace) are moved to the very
+start of the global sheets, whatever type they are created as. Sheets can also
+be given an "owner", which
+describes what their styles belong to (like { component: "Button" }). Two
+backends are provided, under the following requirements:
+
+    DOM Backend:
+        1. Creates <style> elements inside containers in the document's head
+            - Or inside any other node (like a shadow root)
+        2. Containers are created lazily (not when the module is imported)
+        3. Adopts (hydrates) sheets rendered by a server instead of duplicating them
+        4. Writes through the CSSOM, only touching declarations that changed
+            - <style> elements are marked with their rule (and owner), so they can be told apart in devtools
+        5. Batches dynamic sheet updates into one flush per animation frame
+            - Can be flushed early, or disabled to always write immediately
+    Memory Backend:
+        6. Stores sheets in memory, so no DOM is required (like for server-side rendering)
+        7. Provides the collected CSS, either as plain text or as <style> tags
+            - Tags are marked so the DOM backend can hydrate them later
+*/
+
+// separates grouping at-rules (like @media) from the rule line they wrap (like "@media (...){.Card div")
+export const atRuleKey = '{'
+
+// static sheets always come before dynamic sheets, so dynamic rules win when they conflict
+// NOTE: global sheets come first of all, so component rules win over them
+const sheetTypes = ["global", "static", "dynamic"]
+
+// statements that are ignored anywhere but at the start of a stylesheet
+const hoistedStatementPattern = /^@(charset|import|namespace)\b/
+
+// REQ 1: fulfills requirement 1
+class DOMSheetBackend {
+    // NOTE: targetNode is where containers go, if not the document's head (like a shadow root)
+    constructor(targetDocument = document, targetNode = null) {
+        this._document = targetDocument
+        this._targetNode = targetNode
+        this._containers = null // type -> container element
+        this._serverSheets = null // "type rule" -> server rendered style element
+
+        // REQ 5: fulfills requirement 5
+        this.batchUpdates = true
+        this._pendingSheets = new Set()
+        this._flushScheduled = false
+    }
+
+    createGlobalSheet(fullRule, owner = null) {
+        return this._createSheet(fullRule, "global", owner)
+    }
+    createStaticSheet(fullRule, owner = null) {
+        return this._createSheet(fullRule, "static", owner)
+    }
+    createDynamicSheet(fullRule, owner = null) {
+        return this._createSheet(fullRule, "dynamic", owner)
+    }
+
+    // writes all pending sheet updates now (instead of waiting for the next frame)
+    flush() {
+        const sheets = this._pendingSheets
+        this._pendingSheets = new Set()
+        for (const sheet of sheets) {
+            sheet._writePending()
+        }
+    }
+
+    _createSheet(fullRule, type, owner) {
+        type = _toSheetType(fullRule, type)
+        // REQ 3: fulfills requirement 3
+        const serverKey = type + ' ' + fullRule
+        let style = this._getServerSheets()[serverKey]
+        if (style) {
+            delete this._serverSheets[serverKey] // each can only be adopted once
+        }
+        else {
+            style = this._document.createElement('style')
+            const attributes = _getSheetAttributes(fullRule, type, owner)
+            for (const name in attributes) {
+                style.setAttribute(name, attributes[name])
+            }
+            const container = this._getContainers()[type]
+            const nextSheet = _isHoisted(fullRule) ? Array.from(container.children).find((child) => !_isHoisted(child.getAttribute('data-rs-rule'))) : null
+            container.insertBefore(style, nextSheet || null)
+        }
+        // NOTE: static (and global) sheets are never batched; they need to apply before the component is shown
+        const batched = type === "dynamic"
+        return new DOMSheet(style, this, batched)
+    }
+
+    _scheduleWrite(sheet) {
+        this._pendingSheets.add(sheet)
+        if (!this._flushScheduled) {
+            this._flushScheduled = true
+            _requestFrame(() => {
+                this._flushScheduled = false
+                this.flush()
+            })
+        }
+    }
+
+    _cancelWrite(sheet) {
+        this._pendingSheets.delete(sheet)
+    }
+
+    // REQ 2: fulfills requirement 2
+    _getContainers() {
+        if (!this._containers) {
+            const master = this._document.createElement('div')
+            master.setAttribute('data-rs-container', "")
+            // attach to document (somehow...)
+            const attachTo = this._targetNode || this._document.head || this._document.body || this._document.documentElement
+            attachTo.appendChild(master)
+
+            this._containers = {}
+            for (const type of sheetTypes) {
+                const container = this._document.createElement('div')
+                container.setAttribute('data-rs-container', type)
+                master.appendChild(container)
+                this._containers[type] = container
+            }
+        }
+        return this._containers
+    }
+
+    _getServerSheets() {
+        if (!this._serverSheets) {
+            this._serverSheets = {}
+            const styles = (this._targetNode || this._document).querySelectorAll('style[data-rs-type][data-rs-rule]')
+            for (const style of styles) {
+                // NOTE: sheets created by other backends (like for another style context) are marked too, but are not the server's
+                if (style.closest('[data-rs-container]')) {
+                    continue
+                }
+                const serverKey = style.getAttribute('data-rs-type') + ' ' + style.getAttribute('data-rs-rule')
+                this._serverSheets[serverKey] = style
+            }
+        }
+        return this._serverSheets
+    }
+}
+
+// REQ 4: fulfills requirement 4
+class DOMSheet {
+    constructor(styleElement, backend, batched) {
+        this.element = styleElement
+        this._backend = backend
+        this._batched = batched
+
+        this._pending = null // { ruleLine, declarations } waiting to be written
+        this._written = null // same as above, for what the CSSOM has now
+        this._useText = false // set when the CSSOM refuses a rule; the whole text is written instead
+    }
+
+    get cssText() {
+        const sheet = this.element.sheet
+        if (this._useText || !sheet) {
+            return this.element.textContent
+        }
+        return Array.from(sheet.cssRules).map((rule) => rule.cssText).join('\n')
+    }
+
+    write(ruleLine, declarations) {
+        this._pending = { ruleLine, declarations }
+        if (this._batched && this._backend.batchUpdates) {
+            this._backend._scheduleWrite(this)
+        }
+        else {
+            this._backend._cancelWrite(this)
+            this._writePending()
+        }
+    }
+
+    remove() {
+        this._backend._cancelWrite(this)
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element)
+        }
+    }
+
+    _writePending() {
+        const pending = this._pending
+        this._pending = null
+        if (!pending) {
+            return
+        }
+
+        if (this._written && _sameRule(this._written, pending)) {
+            return // nothing changed
+        }
+
+        const sheet = this.element.sheet
+        if (this._useText || !sheet) {
+            this.element.textContent = toCSSText(pending.ruleLine, pending.declarations)
+        }
+        else if (!this._canUpdateWritten(pending)) {
+            this._insertRule(sheet, pending)
+        }
+        else {
+            this._updateDeclarations(this._findStyleRule(sheet), pending.declarations)
+        }
+        this._written = pending
+    }
+
+    // at-rules like keyframes (and rules that changed completely) need to be inserted again instead
+    _canUpdateWritten(pending) {
+        const written = this._written
+        if (!written || written.ruleLine !== pending.ruleLine || _endsWithAtRule(pending.ruleLine)) {
+            return false
+        }
+        return this._findStyleRule(this.element.sheet) !== null
+    }
+
+    _insertRule(sheet, pending) {
+        // NOTE: this also clears any rules a server rendered into the element
+        while (sheet.cssRules.length > 0) {
+            sheet.deleteRule(0)
+        }
+
+        const cssText = toCSSText(pending.ruleLine, pending.declarations)
+        try {
+            sheet.insertRule(cssText, 0)
+        }
+        catch (error) {
+            // the browser doesnt understand something in the rule (like an unsupported at-rule);
+            // writing text leaves it to the browser to ignore (like any other invalid CSS)
+            this._useText = true
+            this.element.textContent = cssText
+        }
+    }
+
+    // finds the CSSStyleRule inside any grouping rules (like @media)
+    _findStyleRule(sheet) {
+        let rule = sheet.cssRules[0]
+        while (rule && !rule.style && rule.cssRules) {
+            rule = rule.cssRules[0]
+        }
+        return (rule && rule.style) ? rule : null
+    }
+
+    _updateDeclarations(styleRule, declarations) {
+        const writtenDeclarations = this._written.declarations
+        for (const prop in writtenDeclarations) {
+            if (!(prop in declarations)) {
+                styleRule.style.removeProperty(prop)
+            }
+        }
+        for (const prop in declarations) {
+            const value = declarations[prop]
+            if (writtenDeclarations[prop] === value) {
+                continue
+            }
+
+            if (value === undefined || value === null) {
+                styleRule.style.removeProperty(prop)
+            }
+            else {
+                const [cssValue, priority] = _splitPriority(String(value))
+                styleRule.style.setProperty(prop, cssValue, priority)
+            }
+        }
+    }
+}
+
+
+// REQ 6: fulfills requirement 6
+class MemorySheetBackend {
+    constructor() {
+        this._sheets = {} // type -> sheets (in order of creation)
+        for (const type of sheetTypes) {
+            this._sheets[type] = []
+        }
+    }
+
+    createGlobalSheet(fullRule, owner = null) {
+        return this._createSheet(fullRule, "global", owner)
+    }
+    createStaticSheet(fullRule, owner = null) {
+        return this._createSheet(fullRule, "static", owner)
+    }
+    createDynamicSheet(fullRule, owner = null) {
+        return this._createSheet(fullRule, "dynamic", owner)
+    }
+
+    _createSheet(fullRule, type, owner) {
+        type = _toSheetType(fullRule, type)
+        const sheets = this._sheets[type]
+        const sheet = new MemorySheet(fullRule, type, owner, () => {
+            sheets.splice(sheets.indexOf(sheet), 1)
+        })
+        const nextIdx = _isHoisted(fullRule) ? sheets.findIndex((otherSheet) => !_isHoisted(otherSheet.rule)) : -1
+        sheets.splice(nextIdx === -1 ? sheets.length : nextIdx, 0, sheet)
+        return sheet
+    }
+
+    // REQ 7: fulfills requirement 7
+    getCSS() {
+        return this._getAllSheets().map((sheet) => sheet.cssText).join('')
+    }
+
+    getStyleTags() {
+        return this._getAllSheets().map((sheet) => {
+            const attributes = _getSheetAttributes(sheet.rule, sheet.type, sheet.owner)
+            const attributesText = Object.keys(attributes).map((name) => `${name}="${_escapeAttribute(attributes[name])}"`).join(' ')
+            // NOTE: "</style" cant appear inside the tag; "\/" is just an escaped '/' in CSS
+            const cssText = sheet.cssText.replace(/<\//g, '<\\/')
+            return `<style ${attributesText}>${cssText}</style>`
+        }).join('')
+    }
+
+    _getAllSheets() {
+        return [].concat(...sheetTypes.map((type) => this._sheets[type]))
+    }
+}
+
+class MemorySheet {
+    constructor(fullRule, type, owner, onRemove) {
+        this.rule = fullRule
+        this.type = type
+        this.owner = owner
+        this.cssText = ""
+        this._onRemove = onRemove
+        this._removed = false
+    }
+
+    write(ruleLine, declarations) {
+        this.cssText = toCSSText(ruleLine, declarations)
+    }
+
+    remove() {
+        if (!this._removed) {
+            this._removed = true
+            this._onRemove()
+        }
+    }
+}
+
+
+// turns a rule line and its declarations into plain CSS
+function toCSSText(ruleLine, declarations) {
+    const numAtRules = ruleLine.split(atRuleKey).length - 1
+    if (declarations === null) {
+        // statements (like @import) have no block
+        return ruleLine + ';\n' + '}\n'.repeat(numAtRules)
+    }
+
+    let cssText = ruleLine + '{\n'
+    for (const prop in declarations) {
+        const value = declarations[prop]
+        // go another level for keyframes
+        if (typeof value === "object" && value !== null) {
+            cssText += prop + '{\n'
+            for (const keyTimeProp in value) {
+                cssText += keyTimeProp + ':' + value[keyTimeProp] + ';\n'
+            }
+            cssText += '}\n'
+        }
+        else {
+            cssText += prop + ':' + value + ';\n'
+        }
+    }
+    cssText += '}\n'
+    // close any at-rules wrapping the rule line
+    cssText += '}\n'.repeat(numAtRules)
+    return cssText
+}
+
+function _isHoisted(fullRule) {
+    return hoistedStatementPattern.test(fullRule)
+}
+
+// NOTE: hoisted statements always go with the global sheets, since those come first
+function _toSheetType(fullRule, type) {
+    return _isHoisted(fullRule) ? "global" : type
+}
+
+// NOTE: the DOM backend finds server rendered sheets by their type and rule
+function _getSheetAttributes(fullRule, type, owner) {
+    const attributes = { "data-rs-type": type, "data-rs-rule": fullRule }
+    if (owner && owner.component) {
+        attributes["data-rs-component"] = owner.component
+    }
+    if (owner && owner.theme) {
+        attributes["data-rs-theme"] = owner.theme
+    }
+    return attributes
+}
+
+function _sameRule(ruleA, ruleB) {
+    return ruleA.ruleLine === ruleB.ruleLine && JSON.stringify(ruleA.declarations) === JSON.stringify(ruleB.declarations)
+}
+
+// NOTE: this is true for keyframes, @font-face and the like, and statements (like @import)
+function _endsWithAtRule(ruleLine) {
+    const lastRule = ruleLine.slice(ruleLine.lastIndexOf(atRuleKey) + 1)
+    return lastRule[0] === '@'
+}
+
+// turns "red !important" into ["red", "important"]
+function _splitPriority(value) {
+    const match = /^(.*?)\s*!\s*important\s*$/i.exec(value)
+    return match ? [match[1], "important"] : [value, ""]
+}
+
+// NOTE: without animation frames (like in some test environments), updates are still batched
+function _requestFrame(callback) {
+    if (typeof requestAnimationFrame === "function") {
+        requestAnimationFrame(callback)
+    }
+    else {
+        setTimeout(callback, 0)
+    }
+}
+
+function _escapeAttribute(str) {
+    return str.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+}
+
+export default { DOMSheetBackend, MemorySheetBackend, toCSSText }
@@ -1,54 +1,350 @@
+import classNameHandler from './classNames.mjs'
+import mixinRegistry from './mixins.mjs'
+import styleValidator from './styleValidation.mjs'
+import hash from './hashing.mjs'
+import { atRuleKey } from './sheetBackends.mjs'
+
 const whenKey = 'when='
-class StyleManager {
-    // REQ 6: fulfills requirement 6
-    // NOTE: this is a dictionary of all known CSS rule sets for all components and themes
-    static get _knownStyles() {
-        if (!this.__knownStyles) {
-            this.__knownStyles = {}
+const instanceKey = Symbol() // marks dynamic properties created with StyleManager.instance()
+const depsKey = Symbol() // holds the getDeps() given to StyleManager.dynamic()
+
+const when = (param) => whenKey + param
+
+// what was last written to each sheet (and the values of dynamic props with dependencies), so unchanged rules can be skipped
+// NOTE: sheets can be shared by many managers (like all instances of a component), which is why this isnt kept per manager
+const sheetCaches = new WeakMap() // sheet -> { ruleLine, declarations, dynamicValues }
+
+const contentOwnerIds = new WeakMap() // owner given to StyleManager.toContentClassName() -> id that keeps its names apart
+
+// props that numbers are given to without units (mostly the same as React's inline styles)
+// NOTE: vendor prefixes are removed before checking
+const unitlessProps = new Set([
+    "animation-iteration-count", "aspect-ratio", "border-image-outset", "border-image-slice", "border-image-width",
+    "box-flex", "box-flex-group", "box-ordinal-group", "column-count", "columns",
+    "flex", "flex-grow", "flex-positive", "flex-shrink", "flex-negative", "flex-order",
+    "font-weight", "grid-area", "grid-column", "grid-column-end", "grid-column-span", "grid-column-start",
+    "grid-row", "grid-row-end", "grid-row-span", "grid-row-start", "line-clamp", "line-height",
+    "opacity", "order", "orphans", "scale", "tab-size", "widows", "z-index", "zoom",
+    "fill-opacity", "flood-opacity", "stop-opacity", "stroke-dasharray", "stroke-dashoffset",
+    "stroke-miterlimit", "stroke-opacity", "stroke-width",
+])
+
+// every keyword the animation shorthand takes (other than names), so they arent mistaken for keyframes names
+const animationKeywords = new Set([
+    "ease", "ease-in", "ease-out", "ease-in-out", "linear", "step-start", "step-end",
+    "infinite", "normal", "reverse", "alternate", "alternate-reverse",
+    "none", "forwards", "backwards", "both", "running", "paused",
+    "initial", "inherit", "unset", "revert", "revert-layer",
+])
+
+// splits a string by a separator (like ',' or ' '), except inside brackets, parentheses or quotes
+// ex: ("a, b(c, d), [e=\"f,g\"]", ',') -> ["a", " b(c, d)", " [e=\"f,g\"]"]
+function splitOutside(str, separator) {
+    const parts = []
+    let depth = 0
+    let quote = null
+    let start = 0
+    for (let idx = 0; idx < str.length; idx++) {
+        const char = str[idx]
+        if (quote !== null) {
+            if (char === '\\') {
+                idx++ // skips escaped characters
+            }
+            else if (char === quote) {
+                quote = null
+            }
+        }
+        else if (char === '"' || char === "'") {
+            quote = char
+        }
+        else if (char === '(' || char === '[') {
+            depth++
+        }
+        else if (char === ')' || char === ']') {
+            depth--
+        }
+        else if (char === separator && depth === 0) {
+            parts.push(str.slice(start, idx))
+            start = idx + 1
         }
-        return this.__knownStyles
     }
-    
-    static _rememberStaticSheet(fullRule, styleElement) {
-        const memory = this._knownStyles[fullRule] = this._knownStyles[fullRule] || {}
-        memory.static = styleElement
+    parts.push(str.slice(start))
+    return parts
+}
+
+function _isAnimationName(word) {
+    // NOTE: times, numbers and functions (like "300ms", "2" and "steps(4)") cant be names
+    return !animationKeywords.has(word) && !/^[-+]?[.\d]/.test(word) && !word.includes('(')
+}
+
+// REQ 6: fulfills requirement 6
+// NOTE: a registry is a dictionary of all known CSS rule sets for components and themes, by base rule and then full rule
+// (so different managers can each have a rule for the same selector, like "body")
+// NOTE: each style context (like a shadow root) has its own registry, since its sheets are separate from the document's
+class StyleRegistry {
+    constructor() {
+        this._knownStyles = {}
+        this._initializedComponents = {} // keeps track of which components have completed their first init
+        this._styleUsers = {}
+        this._owners = {} // base rule -> what its styles belong to (see StyleManager's "owner" option)
+    }
+
+    getMemorizedSheets(baseRule, fullRule) {
+        return (this._knownStyles[baseRule] || {})[fullRule]
+    }
+
+    rememberStaticSheet(baseRule, fullRule, sheet) {
+        const memory = this._rememberRule(baseRule, fullRule)
+        memory.static = sheet
     }
-    static _rememberDynamicSheet(fullRule, styleElement) {
-        const memory = this._knownStyles[fullRule] = this._knownStyles[fullRule] || {}
-        memory.dynamic = styleElement
+    rememberDynamicSheet(baseRule, fullRule, sheet) {
+        const memory = this._rememberRule(baseRule, fullRule)
+        memory.dynamic = sheet
     }
-    
-    // keeps track of which components have completed their first init
-    static get _initializedComponents() {
-        if (!this.__initializeComponents) {
-            this.__initializeComponents = {}
+    // NOTE: baseRule is kept so all sheets created for a manager can be found again
+    _rememberRule(baseRule, fullRule) {
+        if (parser.isKeyFramesRule(fullRule) && console && console.warn) {
+            for (const otherBaseRule in this._knownStyles) {
+                if (otherBaseRule !== baseRule && this._knownStyles[otherBaseRule][fullRule]) {
+                    console.warn(`Animation "${fullRule}" was defined for both "${otherBaseRule}" and "${baseRule}"; only the last definition will be used. (Keyframes names are automatically prefixed with their component's name; renaming one of them will fix this.)`)
+                }
+            }
         }
-        return this.__initializeComponents
+
+        const baseMemory = this._knownStyles[baseRule] = this._knownStyles[baseRule] || {}
+        const memory = baseMemory[fullRule] = baseMemory[fullRule] || {}
+        return memory
     }
+
+    // removes every sheet created under baseRule (and forgets it was ever initialized)
+    forgetStyles(baseRule) {
+        const baseMemory = this._knownStyles[baseRule]
+        for (const fullRule in baseMemory) {
+            const memory = baseMemory[fullRule]
+            for (const sheet of [memory.static, memory.dynamic]) {
+                if (sheet) {
+                    sheet.remove()
+                }
+            }
+        }
+        delete this._knownStyles[baseRule]
+        delete this._initializedComponents[baseRule]
+        delete this._styleUsers[baseRule]
+        delete this._owners[baseRule]
+    }
+
+    // removes all known sheets and starts over
+    reset() {
+        for (const baseRule in this._knownStyles) {
+            this.forgetStyles(baseRule)
+        }
+        this._knownStyles = {}
+        this._initializedComponents = {}
+        this._styleUsers = {}
+        this._owners = {}
+    }
+
+    // REQ 15: fulfills requirement 15
+    // NOTE: this keeps track of which initialized managers (like for mounted components) currently use each base rule
+    addStyleUser(baseRule, manager) {
+        this._styleUsers[baseRule] = this._styleUsers[baseRule] || new Set()
+        this._styleUsers[baseRule].add(manager)
+    }
+    // returns the number of users left
+    removeStyleUser(baseRule, manager) {
+        const users = this._styleUsers[baseRule]
+        if (!users) {
+            return 0
+        }
+        users.delete(manager)
+        return users.size
+    }
+    // returns every manager currently using styles in this registry
+    getStyleUsers() {
+        const managers = []
+        for (const baseRule in this._styleUsers) {
+            managers.push(...this._styleUsers[baseRule])
+        }
+        return managers
+    }
+
     // NOTE: "static" means no dynamic props; "dynamic" means opposite
-    static _initializeComponent(component, type = "static") {
-        this._initializedComponents[component] = type
+    initializeComponent(baseRule, type = "static", owner = null) {
+        this._initializedComponents[baseRule] = type
+        this._owners[baseRule] = owner
+    }
+    // returns the type given to initializeComponent() (or undefined if it never was)
+    getInitializedType(baseRule) {
+        return this._initializedComponents[baseRule]
+    }
+
+    // returns everything this registry knows about each base rule, and the CSS its sheets currently have
+    // NOTE: sheets for instance() properties are owned by their managers, and are not included
+    getEntries() {
+        return Object.keys(this._knownStyles).map((baseRule) => {
+            const baseMemory = this._knownStyles[baseRule]
+            const sheets = []
+            for (const fullRule in baseMemory) {
+                for (const type of ["static", "dynamic"]) {
+                    const sheet = baseMemory[fullRule][type]
+                    if (sheet) {
+                        sheets.push({ rule: fullRule, type, cssText: sheet.cssText })
+                    }
+                }
+            }
+            return {
+                baseRule,
+                owner: this._owners[baseRule] || null,
+                type: this._initializedComponents[baseRule] || null,
+                numUsers: this._styleUsers[baseRule] ? this._styleUsers[baseRule].size : 0,
+                sheets,
+            }
+        })
+    }
+}
+
+class StyleManager {
+    // marks a dynamic property to be applied to each component instance separately
+    // NOTE: the original function is wrapped so it can still be used elsewhere unmarked
+    static instance(getValue) {
+        const instanceProp = (componentInstance) => getValue(componentInstance)
+        instanceProp[instanceKey] = true
+        instanceProp[depsKey] = getValue[depsKey] // (in case it was also given to dynamic())
+        return instanceProp
+    }
+
+    // marks a dynamic property to only be calculated again when the values getDeps() returns change
+    // NOTE: like with instance(), the original function is left unmarked
+    static dynamic(getValue, getDeps) {
+        const dynamicProp = (componentInstance) => getValue(componentInstance)
+        dynamicProp[depsKey] = getDeps
+        dynamicProp[instanceKey] = getValue[instanceKey] // (in case it was also given to instance())
+        return dynamicProp
+    }
+
+    // used to generate unique class names for instances with instance() properties
+    static _nextInstanceId() {
+        this._instanceCount = (this._instanceCount || 0) + 1
+        return this._instanceCount
+    }
+
+    // returns a class name made from the contents of a makeStyle() result (or a function like makeStyle()),
+    // so identical styles always get the same name (like for css props)
+    // NOTE: functions (like dynamic properties) are hashed by their source code, but identical source can still
+    // give different values (like "() => props.width" in two components); so when "owner" is given (like a
+    // component instance), styles with functions get a name only that owner uses
+    static toContentClassName(makeResult, owner = null) {
+        const result = (typeof makeResult === "function") ? makeResult(when) : makeResult
+        let hasFunctions = false
+        const content = JSON.stringify(result, (key, value) => {
+            if (typeof value !== "function") {
+                return value
+            }
+            hasFunctions = true
+            return String(value)
+        })
+        if (!hasFunctions || owner === null) {
+            return "css-" + hash(content)
+        }
+        if (!contentOwnerIds.has(owner)) {
+            contentOwnerIds.set(owner, StyleManager._nextInstanceId())
+        }
+        return "css-" + hash(content) + '-' + contentOwnerIds.get(owner)
+    }
+
+    // returns the name keyframes declared in makeStyle() as "name" have in CSS, for managers given scopeName
+    // NOTE: names that already have the prefix are left alone (so older "ComponentName-Fade" style names still work)
+    // NOTE: scoped names are minified like class names (when minification is on)
+    static toScopedName(scopeName, name) {
+        const prefix = scopeName + '-'
+        const scopedName = (name.slice(0, prefix.length) === prefix) ? name : prefix + name
+        return classNameHandler.toClassName(scopedName)
+    }
+
+    // the registry used by managers that are not given one (like for the main document)
+    static get defaultRegistry() {
+        if (!this._defaultRegistry) {
+            this._defaultRegistry = new StyleRegistry()
+        }
+        return this._defaultRegistry
+    }
+
+    static createRegistry() {
+        return new StyleRegistry()
+    }
+
+    // removes all sheets in the default registry and starts it over (like when switching sheet backends)
+    // NOTE: sheets for instance() properties are owned by their managers, and are not removed
+    static resetStyles() {
+        this.defaultRegistry.reset()
+        this._instanceCount = 0
+    }
+
+    // the unit numbers are given in CSS (for props that are not unitless)
+    // whether numbers given to prop (in dash-case) are left without a unit, like for "opacity"
+    static isUnitlessProp(prop) {
+        return unitlessProps.has(prop.replace(/^-[a-z]+-/, ""))
+    }
+
+    static get defaultUnit() {
+        return this._defaultUnit || "px"
+    }
+    static set defaultUnit(unit) {
+        this._defaultUnit = unit
+    }
+
+    // NOTE: when disabled, style elements are kept even after their last user is gone
+    static get removeUnusedStyles() {
+        return this._removeUnusedStyles !== false
+    }
+    static set removeUnusedStyles(enabled) {
+        this._removeUnusedStyles = enabled
     }
 
     // NOTE: as a memory optimization, this manager controls if it needs to create a static/dynamic sheet
     // NOTE: baseRule acts as an ID; it should be unique across all manager instance, and a valid CSS rule
-    constructor(baseRule, makeStyle, createStaticSheet, createDynamicSheet) {
+    // NOTE: options can have...
+    //   supportsInstanceProps: if false (like for themes), instance() props are treated as regular dynamic props
+    //   scopeName: prefix given to names of keyframes declared in makeStyle() (none if not given)
+    //   rootClassLine: the selector makeStyle() props start from, if not baseRule ("" for global styles)
+    //   getRegistry: returns the registry to remember sheets in, if not the default one (looked up whenever styles start being used)
+    //   owner: describes what the styles belong to, like { component: "Button", theme: "dark" } (for inspecting; see inspector.mjs)
+    constructor(baseRule, makeStyle, createStaticSheet, createDynamicSheet, options = {}) {
         this._baseRule = baseRule
+        this._getRegistry = options.getRegistry || (() => StyleManager.defaultRegistry)
+        this._registry = null // the registry styles are currently used in
+        this._rootClassLine = ("rootClassLine" in options) ? options.rootClassLine : baseRule
         this._makeStyle = makeStyle
+        this._scopeName = options.scopeName || null
+        this._owner = options.owner || null
+        this._localKeyFramesNames = {} // local name -> scoped name; found every initStyle()
 
         // binds create funcs to our associated "memory"
+        // NOTE: sheets come from a sheet backend (see sheetBackends.mjs)
         this._createStaticSheet = (fullRule) => {
-            const style = createStaticSheet()
-            StyleManager._rememberStaticSheet(fullRule, style)
-            return style
+            const sheet = createStaticSheet(fullRule, this._owner)
+            this._registry.rememberStaticSheet(this._baseRule, fullRule, sheet)
+            return sheet
         }
         this._createDynamicSheet = (fullRule) => {
-            const style = createDynamicSheet()
-            StyleManager._rememberDynamicSheet(fullRule, style)
-            return style
+            const sheet = createDynamicSheet(fullRule, this._owner)
+            this._registry.rememberDynamicSheet(this._baseRule, fullRule, sheet)
+            return sheet
         }
 
         this._dynamicRules = null // will have all dynamic CSS props after initStyle() is run (if any)
+        this._usingStyle = false // prevents releasing styles more than once (or without initializing them)
+        this._lastInstance = null // the last component instance dynamic styles were updated for (see reinitStyle())
+
+        // instance() properties get their own rules (and style elements) per manager, which
+        // are only applied to elements given instanceClassName
+        this._supportsInstanceProps = options.supportsInstanceProps !== false
+        this._createInstanceSheet = (ruleLine) => createDynamicSheet(ruleLine, this._owner)
+        this._instanceRules = null
+        this._instanceSheets = {}
+        this._hasInstanceProps = null // unknown until makeStyle() has been checked
+        this._instanceClassName = null
+        this._classNames = null // found when first needed (see classNames)
     }
 
 
@@ -56,12 +352,22 @@ class StyleManager {
     initStyle() {
         // NOTE: makeStyle() is run on every component instance, not just first;
         // this keeps "this" (and other) references in dynamic property functions intact
-        const when = (param) => + whenKey + param
         const makeResult = this._makeStyle(when)
+        this._localKeyFramesNames = this._findLocalKeyFramesNames(makeResult)
+        this._classNames = null // (makeStyle() can use other class names now)
+
+        if (!this._usingStyle) {
+            this._registry = this._getRegistry()
+            this._registry.addStyleUser(this._baseRule, this)
+            this._usingStyle = true
+        }
 
         // creates new style elements for first init
         if (!this._styleInitializedBefore()) {
             // remembers style; prevents future managers from creating elements
+            if (styleValidator.isEnabled) {
+                this._validateStyle(makeResult)
+            }
             this._firstInitStyle(makeResult)
         }
         // ties in dynamic updater when necessary (but shouldnt update any style elements)
@@ -72,20 +378,167 @@ class StyleManager {
 
     // REQ 5: fulfills requirement 5
     updateDynamicStyles(componentInstance) {
+        this._lastInstance = componentInstance
         for (const ruleLine in this._dynamicRules) {
             const ruleSet = this._dynamicRules[ruleLine]
             const styleSheet = this._getMemorizedSheets(ruleLine).dynamic
 
             this._insertRulesToSheet(ruleLine, ruleSet, styleSheet, componentInstance)
         }
+
+        for (const ruleLine in this._instanceRules) {
+            const ruleSet = this._instanceRules[ruleLine]
+            let styleSheet = this._instanceSheets[ruleLine]
+            if (!styleSheet) {
+                styleSheet = this._instanceSheets[ruleLine] = this._createInstanceSheet(ruleLine)
+            }
+
+            this._insertRulesToSheet(ruleLine, ruleSet, styleSheet, componentInstance)
+        }
+    }
+
+    // returns the class name elements need for instance() properties to apply (or null if there are none)
+    // NOTE: this can be called before initStyle() (like when rendering for the first time)
+    get instanceClassName() {
+        if (!this._supportsInstanceProps) {
+            return null
+        }
+        if (this._hasInstanceProps === null) {
+            this._hasInstanceProps = false
+            const onProp = {
+                instance: () => {
+                    this._hasInstanceProps = true
+                },
+            }
+            parser.parseStyle(this._rootClassLine, this._makeStyle(when), onProp)
+        }
+
+        if (!this._hasInstanceProps) {
+            return null
+        }
+        if (!this._instanceClassName) {
+            this._instanceClassName = "__instance" + StyleManager._nextInstanceId() + "__"
+        }
+        return this._instanceClassName
+    }
+
+    // returns the readable class names (like when() subclasses and child component names) makeStyle() uses in its selectors
+    // NOTE: like instanceClassName, this can be called before initStyle(); names are minified as they are found (when
+    // minification is on), so their minified names are known before the first render
+    get classNames() {
+        if (this._classNames === null) {
+            const classNames = new Set()
+            const onProp = {
+                className: (name) => {
+                    classNames.add(name)
+                },
+            }
+            parser.parseStyle(this._rootClassLine, this._makeStyle(when), onProp)
+            this._classNames = classNames
+        }
+        return this._classNames
+    }
+
+    // REQ 15: fulfills requirement 15
+    // should be called once this manager no longer needs its styles (like when a component unmounts);
+    // style elements are removed when no other managers are still using them
+    releaseStyle() {
+        if (!this._usingStyle) {
+            return
+        }
+        this._usingStyle = false
+        this._dynamicRules = null
+        this._lastInstance = null
+        this._removeInstanceSheets()
+
+        const numUsers = this._registry.removeStyleUser(this._baseRule, this)
+        if (numUsers === 0 && StyleManager.removeUnusedStyles) {
+            this._registry.forgetStyles(this._baseRule)
+        }
+    }
+
+    // creates this manager's styles again from scratch, with the values they had last
+    // (like after its registry was reset, when switching sheet backends)
+    // NOTE: instance() props keep their instance class name, so rendered elements still match them
+    reinitStyle() {
+        if (!this._usingStyle) {
+            return
+        }
+        this._usingStyle = false
+        this._dynamicRules = null
+        this._removeInstanceSheets()
+        this.initStyle()
+        if (this._lastInstance) {
+            this.updateDynamicStyles(this._lastInstance)
+        }
+    }
+
+    // removes all style elements this manager (or one sharing its base rule) created, regardless
+    // of who else is using them; the next initStyle() will create them again from scratch
+    removeStyle() {
+        const registry = this._registry || this._getRegistry()
+        registry.forgetStyles(this._baseRule)
+        this._dynamicRules = null
+        this._usingStyle = false
+        this._removeInstanceSheets()
+    }
+
+    _removeInstanceSheets() {
+        for (const ruleLine in this._instanceSheets) {
+            this._instanceSheets[ruleLine].remove()
+        }
+        this._instanceSheets = {}
+        this._instanceRules = null
+    }
+
+    // instance() properties are added to rules that only match this manager's instance class
+    _addInstanceProp(classLine, prop, value) {
+        const instanceClassLine = this._toInstanceClassLine(classLine)
+        // props that cant be scoped (like in absolute rules) end up as regular dynamic props
+        const rules = (instanceClassLine !== null) ? this._instanceRules : this._dynamicRules
+        const ruleLine = (instanceClassLine !== null) ? instanceClassLine : classLine
+        const ruleProps = rules[ruleLine] = rules[ruleLine] || {}
+        ruleProps[prop] = value
+    }
+
+    // turns ".Component div" into ".Component.__instance1__ div" (or null if the base rule isnt there)
+    _toInstanceClassLine(classLine) {
+        if (!this._supportsInstanceProps) {
+            return null
+        }
+
+        const atRulesEnd = classLine.lastIndexOf(atRuleKey) + 1
+        const instanceSelectors = []
+        for (const selector of parser._splitSelectors(classLine.slice(atRulesEnd))) {
+            const instanceSelector = this._toInstanceSelector(selector)
+            if (instanceSelector === null) {
+                return null // every selector in a list needs to be scoped, or none are
+            }
+            instanceSelectors.push(instanceSelector)
+        }
+        return classLine.slice(0, atRulesEnd) + instanceSelectors.join(", ")
+    }
+
+    // NOTE: the base rule can be anywhere in the selector (like after a '&' moved it)
+    _toInstanceSelector(selector) {
+        let baseIdx = selector.indexOf(this._baseRule)
+        while (baseIdx !== -1) {
+            const afterIdx = baseIdx + this._baseRule.length
+            const startsSelector = baseIdx === 0 || /[\s>+~]/.test(selector[baseIdx - 1])
+            if (startsSelector && !/^[\w-]/.test(selector.slice(afterIdx))) {
+                return selector.slice(0, afterIdx) + '.' + this.instanceClassName + selector.slice(afterIdx)
+            }
+            baseIdx = selector.indexOf(this._baseRule, baseIdx + 1)
+        }
+        return null
     }
 
     _getMemorizedSheets(fullRule) {
-        return StyleManager._knownStyles[fullRule]
+        return this._registry.getMemorizedSheets(this._baseRule, fullRule)
     }
 
     _styleInitializedBefore() {
-        return StyleManager._initializedComponents[this._baseRule]
+        return this._registry.getInitializedType(this._baseRule)
     }
 
     // NOTE: new style elements should ONLY be called in the function below
@@ -94,6 +547,8 @@ class StyleManager {
         // NOTE: these nested objects are structured as follows: rules.classLine.prop = value
         const staticRules = {}
         this._dynamicRules = {}
+        this._instanceRules = {}
+        let anyInstance = false
 
         // set up instructions on what to do for static/dynamic props
         // (which is collapsing it down to one CSS-like heirarchy)
@@ -106,13 +561,22 @@ class StyleManager {
                 const ruleProps = this._dynamicRules[classLine] = this._dynamicRules[classLine] || {}
                 ruleProps[prop] = value
             },
+            instance: (classLine, prop, value) => {
+                this._addInstanceProp(classLine, prop, value)
+                anyInstance = true
+            },
             keyframes: (classLine, prop, value) => {
-                this._initKeyFrames(prop, value, true)
+                this._initKeyFrames(this._scopeKeyFramesRule(prop), value, true)
+            },
+            // NOTE: statements (like @import) never change, so they are only needed here
+            statement: (statementLine) => {
+                const styleSheet = this._createStaticSheet(statementLine)
+                styleSheet.write(statementLine, null)
             },
         }
 
         // begin parsing
-        const initRule = this._baseRule
+        const initRule = this._rootClassLine
         parser.parseStyle(initRule, makeResult, onProp)
 
         // after accumulating, create necessary style elements
@@ -132,31 +596,129 @@ class StyleManager {
         }
 
         // remember the result for future component mounts
-        const type = anyDynamic ? "dynamic" : "static"
-        StyleManager._initializeComponent(this._baseRule, type)
+        // NOTE: instance() props count as dynamic, since every instance needs to parse them
+        const type = (anyDynamic || anyInstance) ? "dynamic" : "static"
+        this._registry.initializeComponent(this._baseRule, type, this._owner)
     }
+    // reports mistakes in makeResult (in development), which would otherwise be quietly ignored
+    _validateStyle(makeResult) {
+        const name = this._scopeName || this._baseRule
+        const report = (ruleLine, problem) => styleValidator.report(name, ruleLine, problem)
+        // NOTE: at-rules like @font-face have descriptors instead of properties, which arent checked
+        const isDescriptorRule = (ruleLine) => ruleLine.slice(ruleLine.lastIndexOf(atRuleKey) + 1)[0] === '@'
+        const checkStatic = (ruleLine, prop, value) => {
+            if (typeof value === "string" && value.slice(0, whenKey.length) === whenKey) {
+                report(ruleLine, `"${prop}" was given the result of when(), which only works in keys, like [when(...)]: { ... }`)
+            }
+            else if (!isDescriptorRule(ruleLine)) {
+                report(ruleLine, styleValidator.checkStaticProp(prop, value))
+            }
+        }
+        const checkDynamic = (ruleLine, prop) => {
+            if (!isDescriptorRule(ruleLine)) {
+                report(ruleLine, styleValidator.checkDynamicProp(prop))
+            }
+        }
+
+        const onProp = {
+            static: checkStatic,
+            dynamic: checkDynamic,
+            instance: checkDynamic,
+            keyframes: (classLine, prop, value) => {
+                const keyFramesRule = this._scopeKeyFramesRule(prop)
+                const toKeyTimeLine = (keyTime) => keyFramesRule + atRuleKey + keyTime
+                parser.parseKeyFrames(value, {
+                    static: (keyTime, prop, value) => {
+                        report(toKeyTimeLine(keyTime), styleValidator.checkKeyTime(keyTime))
+                        checkStatic(toKeyTimeLine(keyTime), prop, value)
+                    },
+                    dynamic: (keyTime, prop, value) => {
+                        report(toKeyTimeLine(keyTime), styleValidator.checkKeyTime(keyTime))
+                        checkDynamic(toKeyTimeLine(keyTime), prop)
+                    },
+                })
+            },
+            problem: report,
+        }
+        parser.parseStyle(this._rootClassLine, makeResult, onProp)
+    }
+
     _laterInitStyle(makeResult) {
-        if (!this._styleInitializedBefore() !== "dynamic") {
+        if (this._styleInitializedBefore() !== "dynamic") {
             return // no dynamic properties to process (because firstInit didnt see any)
         }
 
         // acumulate dynamic rules only
         this._dynamicRules = {}
+        this._instanceRules = {}
         const onProp = {
             dynamic: (classLine, prop, value) => {
                 let ruleProps = this._dynamicRules[classLine] = this._dynamicRules[classLine] || {}
                 ruleProps[prop] = value
             },
+            instance: (classLine, prop, value) => {
+                this._addInstanceProp(classLine, prop, value)
+            },
             keyframes: (classLine, prop, value) => {
-                this._initKeyFrames(prop, value, false)
+                this._initKeyFrames(this._scopeKeyFramesRule(prop), value, false)
             },
         }
 
         // begin parsing
-        const initRule = this._baseRule
+        const initRule = this._rootClassLine
         parser.parseStyle(initRule, makeResult, onProp)
     }
 
+    // returns an object of all keyframes names declared in makeResult, and what they are renamed to
+    _findLocalKeyFramesNames(makeResult) {
+        const names = {}
+        if (!this._scopeName) {
+            return names
+        }
+
+        const onProp = {
+            keyframes: (classLine, prop, value) => {
+                const name = parser.getKeyFramesName(prop)
+                if (name !== null) {
+                    names[name] = this._toScopedName(name)
+                }
+            },
+        }
+        parser.parseStyle(this._rootClassLine, makeResult, onProp)
+        return names
+    }
+
+    // turns "@keyframes Fade" into "@keyframes ComponentName-Fade"
+    _scopeKeyFramesRule(keyFramesRule) {
+        const name = parser.getKeyFramesName(keyFramesRule)
+        if (name === null || !this._scopeName) {
+            return keyFramesRule
+        }
+        return keyFramesRule.slice(0, keyFramesRule.length - name.length) + this._toScopedName(name)
+    }
+
+    _toScopedName(name) {
+        return StyleManager.toScopedName(this._scopeName, name)
+    }
+
+    // renames any keyframes declared in makeStyle() that are used in animation properties
+    _scopeAnimationValue(prop, value) {
+        if ((prop !== "animation" && prop !== "animation-name") || typeof value !== "string") {
+            return value
+        }
+        // NOTE: keyframes from other components can still be used by their (readable) scoped names
+        const scopeName = (name) => this._localKeyFramesNames[name] || classNameHandler.toKnownClassName(name)
+        return splitOutside(value, ',').map((animation) => {
+            // only the name is renamed (like "Fade" in "Fade 1s ease infinite"), never keywords or times
+            const words = splitOutside(animation.trim(), ' ').filter((word) => word !== "")
+            const nameIdx = words.findIndex((word) => _isAnimationName(word))
+            if (nameIdx !== -1) {
+                words[nameIdx] = scopeName(words[nameIdx])
+            }
+            return words.join(' ')
+        }).join(", ")
+    }
+
     // its a mini-version of the whole init function!
     _initKeyFrames(keyFramesRule, keyFramesTimes, isFirstInit) {
         // all or nothing; either treat this definition like
@@ -199,46 +761,103 @@ class StyleManager {
     // NOTE: this can process static, dynamic, and animation rules
     // since the logic after getting the value is mostly the same
     // NOTE: if processing no dynamic elements, a component instance is not needed
-    _insertRulesToSheet(ruleLine, ruleSet, styleElement, componentInstance = null) {
-        // parse all rules into a single string
-        let htmlStr = ruleLine + '{\n'
+    _insertRulesToSheet(ruleLine, ruleSet, styleSheet, componentInstance = null) {
+        let cache = sheetCaches.get(styleSheet)
+        if (!cache) {
+            cache = { ruleLine: null, declarations: null, dynamicValues: {} }
+            sheetCaches.set(styleSheet, cache)
+        }
+
+        // collect final values for all props (sheets turn them into CSS)
+        // NOTE: keyframes have one more level: declarations.keyTime.prop = value
+        const declarations = {}
         for (const prop in ruleSet) {
             let value = ruleSet[prop]
             // get value from dynamic properties
             if (typeof value === "function") {
-                if (!componentInstance) {
-                    throw new Error("(Internal React Styles Error) Dynamic property found with undefined component instance")
-                }
-                value = value(componentInstance)
+                value = this._getDynamicValue(value, componentInstance, cache.dynamicValues, prop)
+                this._validateDynamicValue(ruleLine, prop, value)
             }
 
             // go another level for keyframes
             if (typeof value === "object") {
                 const keyTime = prop
                 const keyTimeRules = value
-                htmlStr += keyTime + '{\n'
+                const keyTimeDeclarations = declarations[keyTime] = {}
                 for (const prop in keyTimeRules) {
                     let value = keyTimeRules[prop]
                     if (typeof value === "function") {
-                        if (!componentInstance) {
-                            throw new Error("(Internal React Styles Error) Dynamic property found with undefined component instance")
-                        }
-                        value = value(componentInstance)
+                        value = this._getDynamicValue(value, componentInstance, cache.dynamicValues, keyTime + ' ' + prop)
+                        this._validateDynamicValue(ruleLine + atRuleKey + keyTime, prop, value)
                     }
-                    htmlStr += prop + ':' + value + ';\n'
+                    keyTimeDeclarations[prop] = parser.toCSSValue(prop, value)
                 }
-                htmlStr += '}\n'
             }
             // handle as static/dynamic prop
             else {
-                htmlStr += prop + ':' + value + ';\n'
+                declarations[prop] = this._scopeAnimationValue(prop, parser.toCSSValue(prop, value))
             }
         }
-        htmlStr += '}\n'
 
-        // set style element with string
-        styleElement.innerHTML = htmlStr
+        // rules that didnt change are not written again
+        if (cache.ruleLine === ruleLine && _sameDeclarations(cache.declarations, declarations)) {
+            return
+        }
+        cache.ruleLine = ruleLine
+        cache.declarations = declarations
+        styleSheet.write(ruleLine, declarations)
+    }
+
+    _validateDynamicValue(ruleLine, prop, value) {
+        if (styleValidator.isEnabled) {
+            styleValidator.report(this._scopeName || this._baseRule, ruleLine, styleValidator.checkDynamicValue(prop, value))
+        }
+    }
+
+    // calls a dynamic property's function, unless it has dependencies (see StyleManager.dynamic()) that didnt change
+    // NOTE: dynamicValues holds the last dependencies and value for each cacheKey
+    _getDynamicValue(getValue, componentInstance, dynamicValues, cacheKey) {
+        if (!componentInstance) {
+            throw new Error("(Internal React Styles Error) Dynamic property found with undefined component instance")
+        }
+        const getDeps = getValue[depsKey]
+        if (typeof getDeps !== "function") {
+            return getValue(componentInstance)
+        }
+
+        const deps = [].concat(getDeps(componentInstance))
+        const cached = dynamicValues[cacheKey]
+        if (cached && _sameDeps(cached.deps, deps)) {
+            return cached.value
+        }
+        const value = getValue(componentInstance)
+        dynamicValues[cacheKey] = { deps, value }
+        return value
+    }
+}
+
+// NOTE: keyframes declarations have one more level of objects
+function _sameDeclarations(declarationsA, declarationsB) {
+    if (!declarationsA || !declarationsB) {
+        return false
+    }
+    const props = Object.keys(declarationsA)
+    if (props.length !== Object.keys(declarationsB).length) {
+        return false
     }
+    return props.every((prop) => {
+        const valueA = declarationsA[prop]
+        const valueB = declarationsB[prop]
+        if (typeof valueA === "object" && valueA !== null && typeof valueB === "object" && valueB !== null) {
+            return _sameDeclarations(valueA, valueB)
+        }
+        return prop in declarationsB && valueA === valueB
+    })
+}
+
+// NOTE: dependencies are compared like React compares hook dependencies
+function _sameDeps(depsA, depsB) {
+    return depsA.length === depsB.length && depsA.every((dep, idx) => Object.is(dep, depsB[idx]))
 }
 
 // NOTE: this is a visitor-based makeStyle() parsing singleton,
@@ -247,10 +866,14 @@ class StyleManager {
 const parser = new class {
     // NOTE: this function expects classLine to be a VALID CSS RULE NAME
     // NOTE: onProp has two functions: "static", and "dynamic" (for their respective types of props)
-    parseStyle(classLine, makeResult, onProp) {
+    // NOTE: atRuleLine holds any at-rules (like @media) the class line is nested in;
+    // rule lines given to onProp start with it, like "@media (...){.ComponentName"
+    parseStyle(classLine, makeResult, onProp, atRuleLine = "") {
         if (typeof makeResult !== "object") {
             return // pretty CSS-like way to do it, right?
         }
+        // REQ 20: fulfills requirement 20
+        makeResult = mixinRegistry.expandIncludes(makeResult, when)
 
         for (const prop in makeResult) {
             const value = makeResult[prop]
@@ -258,54 +881,154 @@ const parser = new class {
             // REQ 11: fulfills requirement 11
             if (this._isWhenProp(prop, value)) {
                 const origProp = prop.slice(whenKey.length)
-                let subClassLine = classLine
-                // checks for letters and automatically adds '.' in front of them
-                const code = origProp.charCodeAt(0)
-                if (code >= 65 && code <= 90 || code >= 97 && code <= 122) {
-                    subClassLine += '.'
+                const subSelectors = this._splitSelectors(origProp).map((subSelector) => {
+                    // checks for letters and automatically adds '.' in front of them
+                    const code = subSelector.charCodeAt(0)
+                    if (code >= 65 && code <= 90 || code >= 97 && code <= 122) {
+                        return '.' + this._toClassNamePrefixed(subSelector, onProp)
+                    }
+                    return subSelector
+                })
+
+                const subClassLine = this._nestSelectors(classLine, subSelectors, "")
+                if (!this._isChildProp(prop, value) || value === null) {
+                    this._report(onProp, subClassLine, `[when("${origProp}")] was given ${value === null ? "null" : "a " + typeof value}, but needs an object of properties`, atRuleLine)
                 }
-                subClassLine += origProp
+                this.parseStyle(subClassLine, value, onProp, atRuleLine)
+            }
 
-                this.parseStyle(subClassLine, value, onProp)
+            // REQ 19: fulfills requirement 19
+            // NOTE: this comes before child props, since statements can have arrays of values
+            else if (this._isStatementAtRuleProp(prop, value)) {
+                // NOTE: browsers ignore these inside other at-rules (like @media), so they are left out
+                if (atRuleLine !== "" && prop !== "@layer") {
+                    this._report(onProp, prop, `"${prop}" is inside another at-rule, where browsers ignore it (move it to the top level)`, atRuleLine)
+                    continue
+                }
+                const statementValues = Array.isArray(value) ? value : [value]
+                for (const statementValue of statementValues) {
+                    this._on(onProp, "statement", prop + ' ' + statementValue, prop, statementValue, atRuleLine)
+                }
             }
 
             else if (this._isChildProp(prop, value)) {
+                // REQ 14: fulfills requirement 14
+                if (this._isGroupingAtRuleProp(prop, value)) {
+                    const nestedAtRuleLine = atRuleLine + prop + atRuleKey
+                    this.parseStyle(classLine, value, onProp, nestedAtRuleLine)
+                }
+
                 // REQ 13: fulfills requirement 13
-                if (this._isKeyframesProp(prop, value)) {
-                    this._on(onProp, "keyframes", classLine, prop, value)
+                else if (this._isKeyframesProp(prop, value)) {
+                    this._on(onProp, "keyframes", classLine, prop, value, atRuleLine)
+                }
+
+                // REQ 19: fulfills requirement 19
+                // NOTE: these dont use the parent selector; arrays define more than one (like for many @font-faces)
+                else if (this._isDescriptorAtRuleProp(prop, value)) {
+                    if (Array.isArray(value)) {
+                        // NOTE: the comments keep rules apart, since their CSS would be the same otherwise
+                        value.forEach((descriptors, idx) => {
+                            this.parseStyle(prop + " /* " + (idx + 1) + " */", descriptors, onProp, atRuleLine)
+                        })
+                    }
+                    else {
+                        this.parseStyle(prop, value, onProp, atRuleLine)
+                    }
                 }
 
                 // REQ 10: fulfills requirement 10
                 else if (this._isAbsoluteProp(prop, value)) {
-                    const absClassLine = prop.slice(1)
-                    this.parseStyle(absClassLine, value, onProp)
+                    // NOTE: only selectors with '&' use the parent selector
+                    const absSelectors = this._splitSelectors(prop.slice(1))
+                    const absClassLine = this._nestSelectors(classLine, absSelectors, null)
+                    for (const absSelector of absSelectors) {
+                        if (this._isComponentName(absSelector)) {
+                            this._report(onProp, absClassLine, `"${absSelector}" looks like a component name, but '=' does not add a '.' to it (use "=.${absSelector}")`, atRuleLine)
+                        }
+                    }
+                    this.parseStyle(absClassLine, value, onProp, atRuleLine)
                 }
 
                 // REQ 12: fulfills requirement 12
                 // regular child class
                 else {
-                    let childClassLine = classLine + ' '
-                    // treat component names as CSS custom classes
-                    if (this._isComponentName(prop)) {
-                        childClassLine += '.'
+                    const childSelectors = this._splitSelectors(prop).map((childSelector) => {
+                        // treat component names as CSS custom classes
+                        if (this._isComponentName(childSelector)) {
+                            return '.' + this._toClassNamePrefixed(childSelector, onProp)
+                        }
+                        return childSelector
+                    })
+
+                    const childClassLine = this._nestSelectors(classLine, childSelectors, ' ')
+                    if (/^when\W/.test(prop)) {
+                        this._report(onProp, childClassLine, `"${prop}" is used as a child selector; when() only works in brackets, like [when(...)]`, atRuleLine)
                     }
-                    childClassLine += prop
-                    this.parseStyle(childClassLine, value, onProp)
+                    if (value === null || Array.isArray(value)) {
+                        this._report(onProp, childClassLine, `"${prop}" was given ${value === null ? "null" : "an array"}, which only at-rules (like @font-face) support`, atRuleLine)
+                    }
+                    this.parseStyle(childClassLine, value, onProp, atRuleLine)
                 }
             }
 
+            // REQ 16: fulfills requirement 16
+            else if (this._isInstanceProp(prop, value)) {
+                this._on(onProp, "instance", classLine, prop, value, atRuleLine)
+            }
             // REQ 8: fulfills requirement 8
             else if (this._isDynamicProp(prop, value)) {
-                this._on(onProp, "dynamic", classLine, prop, value)
+                this._on(onProp, "dynamic", classLine, prop, value, atRuleLine)
             }
             // REQ 7: fulfills requirement 7
             // must be a static property!
             else {
-                this._on(onProp, "static", classLine, prop, value)
+                this._on(onProp, "static", classLine, prop, value, atRuleLine)
             }
         }
     }
 
+    // REQ 18: fulfills requirement 18
+    // combines every parent selector with every child selector, like nested CSS does
+    // ex: (".A, .B", ["h1", ".C &"], ' ') -> ".A h1, .C .A, .B h1, .C .B"
+    // NOTE: a "joiner" of null leaves child selectors without '&' as they are (without a parent)
+    _nestSelectors(parentClassLine, childSelectors, joiner) {
+        const nestedSelectors = new Set()
+        for (const parentSelector of this._splitSelectors(parentClassLine)) {
+            for (const childSelector of childSelectors) {
+                // NOTE: '&' inside attribute selectors or strings (like [title="&"]) isnt a parent reference
+                const parts = splitOutside(childSelector, '&')
+                if (parts.length > 1) {
+                    // NOTE: global styles have no parent selector; "& " is then just left out
+                    nestedSelectors.add(parts.join(parentSelector).trim())
+                }
+                else if (joiner === null || parentSelector === "") {
+                    nestedSelectors.add(childSelector)
+                }
+                else {
+                    nestedSelectors.add(parentSelector + joiner + childSelector)
+                }
+            }
+        }
+        return Array.from(nestedSelectors).join(", ")
+    }
+
+    // splits "h1, h2:is(.A, .B), [data-x=\"a,b\"]" into ["h1", "h2:is(.A, .B)", "[data-x=\"a,b\"]"]
+    _splitSelectors(selectorList) {
+        return splitOutside(selectorList, ',').map((selector) => selector.trim())
+    }
+
+    // turns the class name at the start of things like "active:hover" into the one used in CSS
+    // NOTE: onProp.className() is given each readable class name (see StyleManager's classNames)
+    _toClassNamePrefixed(str, onProp) {
+        return str.replace(/^[A-Za-z_][\w-]*/, (name) => {
+            if (typeof onProp.className === "function") {
+                onProp.className(name)
+            }
+            return classNameHandler.toClassName(name)
+        })
+    }
+
     parseKeyFrames(keyTimes, onProp) {
         for (const keyProp in keyTimes) {
             const timeProps = keyTimes[keyProp]
@@ -330,6 +1053,19 @@ const parser = new class {
         }
     }
 
+    // REQ 17: fulfills requirement 17
+    // NOTE: this expects props that were already turned into dash-case
+    toCSSValue(prop, value) {
+        if (typeof value !== "number" || value === 0 || prop.slice(0, 2) === "--") {
+            return value
+        }
+
+        if (StyleManager.isUnitlessProp(prop)) {
+            return value
+        }
+        return value + StyleManager.defaultUnit
+    }
+
     _toCSSProp(name) {
         let newName = ""
         for (let i = 0; i < name.length; i++) {
@@ -356,16 +1092,49 @@ const parser = new class {
         return typeof value === "object"
     }
 
+    // returns if pair defines an at-rule that wraps other rules (like @media)
+    _isGroupingAtRuleProp(prop, value) {
+        return /^@(media|supports|container|layer)\b/.test(prop)
+    }
+
     // returns if pair defines keyframes for animating
     _isKeyframesProp(prop, value) {
+        return /^@(-[a-z]+-)?keyframes\s/.test(prop)
+    }
+
+    // returns if pair defines an at-rule with its own declarations (like @font-face or @page)
+    // NOTE: this is checked after grouping at-rules and keyframes, so it counts any other at-rules
+    _isDescriptorAtRuleProp(prop, value) {
         return prop[0] === '@'
     }
 
+    // returns if pair defines an at-rule without a block (like "@import": "url(...)")
+    _isStatementAtRuleProp(prop, value) {
+        return /^@(import|charset|namespace|layer)$/.test(prop) && (typeof value === "string" || Array.isArray(value))
+    }
+
+    // returns if a full rule (possibly inside other at-rules) defines keyframes
+    isKeyFramesRule(fullRule) {
+        return this.getKeyFramesName(fullRule) !== null
+    }
+
+    // returns "Name" from rules like "@keyframes Name" or "@media (...){@keyframes Name" (or null if not keyframes)
+    getKeyFramesName(keyFramesRule) {
+        const lastRule = keyFramesRule.slice(keyFramesRule.lastIndexOf(atRuleKey) + 1)
+        const match = /^@(?:-[a-z]+-)?keyframes\s+(\S+)\s*$/.exec(lastRule)
+        return match ? match[1] : null
+    }
+
     // returns if an absolute CSS rule was defined
     _isAbsoluteProp(prop, value) {
         return prop[0] === '='
     }
 
+    // returns if a dynamic property was marked with StyleManager.instance()
+    _isInstanceProp(prop, value) {
+        return typeof value === "function" && value[instanceKey] === true
+    }
+
     // returns if a dynamic property was defined
     _isDynamicProp(prop, value) {
         return typeof value === "function"
@@ -377,14 +1146,23 @@ const parser = new class {
         return code >= 65 && code <= 90 // range of capital letters
     }
 
+    // tells onProp.problem() about a mistake in makeResult (used for validation)
+    _report(onProp, classLine, problem, atRuleLine = "") {
+        if (typeof onProp.problem === "function") {
+            onProp.problem(atRuleLine + (classLine || ":root"), problem)
+        }
+    }
+
     // just a wrapper that calls the function if it exists
-    _on(onProp, condition, classLine, prop, value) {
+    _on(onProp, condition, classLine, prop, value, atRuleLine = "") {
         const callback = onProp[condition]
         if (typeof callback === "function") {
             // REQ 9: fulfills requirement 9
             // NOTE: DO NOT apply cap-to-dash rule for animation names
-            const cssValidProp = (condition === "keyframes")? prop : this._toCSSProp(prop)
-            callback(classLine, cssValidProp, value)
+            // (but keyframes still need to be wrapped in at-rules, since they are rules themselves)
+            const cssValidProp = (condition === "keyframes")? atRuleLine + prop : this._toCSSProp(prop)
+            // NOTE: props at the top of global styles (which have no selector) apply to the whole document
+            callback(atRuleLine + (classLine || ":root"), cssValidProp, value)
         }
     }
 }
@@ -0,0 +1,156 @@
+/* MODULE INFO:
+This module checks makeStyle() results for mistakes that would otherwise fail
+silently (since browsers quietly ignore CSS they dont understand), like:
+
+    makeStyle(when) {
+        return {
+            backgroundColour: "red", // (not a CSS property)
+            color: when(":hover"),   // (when() needs brackets, in a key)
+        }
+    }
+
+Checks only run in development, under the following requirements:
+    1. Property names are checked against the properties the DOM knows about
+        - Custom properties (--name) and vendor prefixed properties are always allowed
+        - Without a DOM, property names are not checked
+        - Properties some DOMs dont know about (newer ones, at-rule descriptors, and ones jsdom lacks) are
+          allowed from a list, so they are not reported by mistake
+    2. Static values need to be strings or numbers
+    3. Keyframes selectors need to be "from", "to", or percentages (from 0 to 100)
+    4. Problems are reported with the component's name and the full selector of the rule
+        - Each problem is only reported once
+*/
+
+import environment from './environment.mjs'
+import { atRuleKey } from './sheetBackends.mjs'
+
+// (dash-case) properties and at-rule descriptors to allow even when the DOM doesnt know them
+const knownProps = new Set([
+    "accent-color", "anchor-name", "animation-composition", "animation-range", "animation-timeline", "appearance",
+    "aspect-ratio", "backdrop-filter", "block-size", "color-scheme", "contain", "contain-intrinsic-size",
+    "container", "container-name", "container-type", "content-visibility", "field-sizing", "font-display",
+    "font-feature-settings", "font-optical-sizing", "font-palette", "font-variation-settings", "forced-color-adjust",
+    "hyphenate-character", "initial-letter", "inline-size", "inset", "interpolate-size", "math-depth", "math-style",
+    "max-block-size", "max-inline-size", "min-block-size", "min-inline-size", "offset", "offset-anchor",
+    "offset-distance", "offset-path", "offset-position", "offset-rotate", "overflow-anchor", "overflow-clip-margin",
+    "overscroll-behavior", "overscroll-behavior-block", "overscroll-behavior-inline", "overscroll-behavior-x",
+    "overscroll-behavior-y", "paint-order", "position-anchor", "position-area", "position-try",
+    "position-try-fallbacks", "print-color-adjust", "rotate", "ruby-position", "scale", "scroll-behavior",
+    "scroll-margin", "scroll-padding", "scroll-snap-align", "scroll-snap-stop", "scroll-snap-type",
+    "scroll-timeline", "scrollbar-color", "scrollbar-gutter", "scrollbar-width", "text-decoration-skip-ink",
+    "text-decoration-thickness", "text-emphasis", "text-size-adjust", "text-underline-offset",
+    "text-underline-position", "text-wrap", "text-wrap-mode", "text-wrap-style", "touch-action", "translate",
+    "view-timeline", "view-transition-class", "view-transition-name", "white-space-collapse",
+    // descriptors (like for @font-face and @property)
+    "ascent-override", "descent-override", "font-named-instance", "inherits", "initial-value", "line-gap-override",
+    "size-adjust", "src", "syntax", "unicode-range",
+])
+// logical versions of physical properties (like "margin-block-start" and "border-inline-color")
+for (const prop of ["margin", "padding", "inset", "scroll-margin", "scroll-padding", "border"]) {
+    for (const axis of ["block", "inline"]) {
+        for (const side of ["", "-start", "-end"]) {
+            knownProps.add(`${prop}-${axis}${side}`)
+            if (prop === "border") {
+                knownProps.add(`border-${axis}${side}-width`).add(`border-${axis}${side}-style`).add(`border-${axis}${side}-color`)
+            }
+        }
+    }
+}
+for (const corner of ["start-start", "start-end", "end-start", "end-end"]) {
+    knownProps.add(`border-${corner}-radius`)
+}
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    constructor() {
+        this._reported = new Set()
+        this._testStyle = undefined // a CSSStyleDeclaration to check property names with (null without a DOM)
+    }
+
+    get isEnabled() {
+        return environment.isDevMode
+    }
+
+    // returns a description of what is wrong with a (dash-case) prop and its static value, or null if nothing is
+    checkStaticProp(prop, value) {
+        if (!this._isKnownProp(prop)) {
+            return `"${prop}" is not a known CSS property`
+        }
+        // REQ 2: fulfills requirement 2
+        if (typeof value !== "string" && typeof value !== "number") {
+            return `"${prop}" was given ${_describe(value)}, but values need to be strings or numbers (or functions, for dynamic properties)`
+        }
+        return null
+    }
+    checkDynamicProp(prop) {
+        return this._isKnownProp(prop) ? null : `"${prop}" is not a known CSS property`
+    }
+    checkDynamicValue(prop, value) {
+        if (value === undefined || value === null) {
+            return `the dynamic property "${prop}" returned ${value}`
+        }
+        return null
+    }
+
+    // REQ 3: fulfills requirement 3
+    // NOTE: "50" (without '%') is fine, since numbers are turned into percentages
+    checkKeyTime(keyTime) {
+        for (const selector of String(keyTime).split(',')) {
+            const trimmed = selector.trim()
+            const percent = /^(\d+(?:\.\d+)?)%?$/.exec(trimmed)
+            if (trimmed !== "from" && trimmed !== "to" && !(percent && parseFloat(percent[1]) <= 100)) {
+                return `"${trimmed}" is not a keyframes selector (use "from", "to", or a percentage from 0 to 100)`
+            }
+        }
+        return null
+    }
+
+    // REQ 4: fulfills requirement 4
+    // NOTE: rule lines have at-rules separated by '{' (like "@media (...){.Card div")
+    report(componentName, ruleLine, problem) {
+        if (!this.isEnabled || !problem) {
+            return
+        }
+        const path = ruleLine.split(atRuleKey).join(" ")
+        const key = componentName + '\n' + path + '\n' + problem
+        if (this._reported.has(key)) {
+            return
+        }
+        this._reported.add(key)
+        if (console && console.warn) {
+            console.warn(`React Styles found a problem in the styles of "${componentName}", at "${path}": ${problem}.`)
+        }
+    }
+
+    // REQ 1: fulfills requirement 1
+    _isKnownProp(prop) {
+        if (prop.slice(0, 2) === "--" || /^-[a-z]+-/.test(prop) || knownProps.has(prop)) {
+            return true
+        }
+        const testStyle = this._getTestStyle()
+        if (!testStyle) {
+            return true
+        }
+        const camelProp = prop.replace(/-([a-z])/g, (match, char) => char.toUpperCase())
+        return camelProp in testStyle
+    }
+
+    // NOTE: called when all styles are reset (like between tests), so problems are reported again afterwards
+    reset() {
+        this._reported.clear()
+    }
+
+    _getTestStyle() {
+        if (this._testStyle === undefined) {
+            this._testStyle = (typeof document !== "undefined") ? document.createElement('div').style : null
+        }
+        return this._testStyle
+    }
+}
+
+function _describe(value) {
+    if (Array.isArray(value)) {
+        return "an array"
+    }
+    return (value === null || value === undefined) ? String(value) : "a " + typeof value
+}
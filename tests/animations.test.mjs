@@ -0,0 +1,76 @@
+import assert from 'assert'
+import { JSDOM } from 'jsdom'
+
+// NOTE: animations read computed styles, which have to exist before the module is imported
+const dom = new JSDOM(`<!DOCTYPE html><html><head><style>.Timed { animation-duration: 200ms; }</style></head><body></body></html>`)
+globalThis.getComputedStyle = dom.window.getComputedStyle
+const animationHandler = (await import('../animations.mjs')).default
+const { document } = dom.window
+
+function createElement(className = "") {
+    const element = document.createElement('div')
+    element.className = className
+    document.body.appendChild(element)
+    return element
+}
+
+// keyframes without a duration use the element's animation-duration, and throw when it has none
+const timed = createElement("Timed")
+const timedAnimation = animationHandler.animateKeyFrames(timed, "Card-Fade")
+assert.ok(timed.style.animation.startsWith("Card-Fade 200ms"), timed.style.animation)
+timedAnimation.cancel()
+assert.throws(() => animationHandler.animateKeyFrames(createElement(), "Card-Fade"), /needs a duration for the "Card-Fade" keyframes/)
+
+// finished animations resolve to true (even without end events), and keep what "fill" needs
+const filled = createElement()
+assert.strictEqual(await animationHandler.animateKeyFrames(filled, "Card-Fade", { duration: 10, fill: "forwards" }), true)
+assert.ok(filled.style.animation.startsWith("Card-Fade 10ms"))
+const unfilled = createElement()
+assert.strictEqual(await animationHandler.animateKeyFrames(unfilled, "Card-Fade", { duration: 10 }), true)
+assert.strictEqual(unfilled.style.animation, "")
+
+// cancelled animations resolve to false, and undo what started them
+const faded = createElement()
+faded.style.animation = "Card-Pulse 1s"
+const fadeAnimation = animationHandler.animateKeyFrames(faded, "Card-Fade", { duration: 300, fill: "forwards" })
+fadeAnimation.cancel()
+assert.strictEqual(await fadeAnimation, false)
+assert.strictEqual(faded.style.animation, "Card-Pulse 1s")
+const shown = createElement("Card")
+const showAnimation = animationHandler.animateClassNames(shown, ["fadeIn"])
+assert.strictEqual(shown.className, "Card fadeIn")
+showAnimation.cancel()
+assert.strictEqual(await showAnimation, false)
+assert.strictEqual(shown.className, "Card")
+
+// cancelling a sequence cancels the running step, and the rest never start
+const first = createElement()
+const second = createElement()
+const sequence = animationHandler.animateInSequence([
+    () => animationHandler.animateClassNames(first, ["slideIn"]),
+    () => animationHandler.animateClassNames(second, ["slideIn"]),
+])
+sequence.cancel()
+assert.strictEqual(await sequence, false)
+assert.strictEqual(first.className, "")
+assert.strictEqual(second.className, "")
+assert.strictEqual(await animationHandler.animateInSequence([
+    () => animationHandler.animateClassNames(first, ["slideIn"]),
+    () => animationHandler.animateClassNames(second, ["slideIn"]),
+]), true)
+assert.strictEqual(second.className, "slideIn")
+
+// cancelling animations in parallel cancels all of them
+const left = createElement()
+const right = createElement()
+const parallel = animationHandler.animateInParallel([
+    () => animationHandler.animateClassNames(left, ["fadeIn"]),
+    animationHandler.animateKeyFrames(right, "Card-Fade", { duration: 300 }),
+])
+parallel.cancel()
+assert.strictEqual(await parallel, false)
+assert.strictEqual(left.className, "")
+assert.strictEqual(right.style.animation, "")
+
+dom.window.close()
+console.log("animations tests passed")
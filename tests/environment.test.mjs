@@ -0,0 +1,22 @@
+import assert from 'assert'
+import fs from 'fs'
+
+// loads environment.mjs the way a bundler would give it to a browser: with process.env.NODE_ENV replaced, and no "process"
+async function importBundled(nodeEnv) {
+    const source = fs.readFileSync(new URL('../environment.mjs', import.meta.url), 'utf8')
+    const bundledSource = (nodeEnv === null) ? source : source.replace(/process\.env\.NODE_ENV/g, JSON.stringify(nodeEnv))
+    const nodeProcess = globalThis.process
+    globalThis.process = undefined
+    try {
+        const module = await import('data:text/javascript,' + encodeURIComponent(bundledSource))
+        return module.default.isDevMode
+    }
+    finally {
+        globalThis.process = nodeProcess
+    }
+}
+
+assert.strictEqual(await importBundled("production"), false)
+assert.strictEqual(await importBundled("development"), true)
+assert.strictEqual(await importBundled(null), true) // (no bundler, and no Node)
+console.log("environment tests passed")
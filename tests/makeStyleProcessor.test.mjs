@@ -1,4 +1,9 @@
+import assert from 'assert'
 import makeManager from '../makeStyleProcessor.mjs'
+import sheetBackends from '../sheetBackends.mjs'
+import StyleManager from '../styleManager.mjs'
+import classNameHandler from '../classNames.mjs'
+import mixinRegistry from '../mixins.mjs'
 
 class MockComponent {
     constructor() {
@@ -15,6 +20,10 @@ class MockComponent {
         this.manager.updateDynamicStyles(this)
     }
 
+    componentWillUnmount() {
+        this.manager.releaseStyle()
+    }
+
     makeStyle(when) {
         throw new Error("Not implemented")
     }
@@ -45,13 +54,226 @@ class FirstTest extends MockComponent {
     }
 }
 
+// NOTE: the memory backend has no DOM (and no batching), so this runs anywhere
+const backend = new sheetBackends.MemorySheetBackend()
+makeManager.setSheetBackend(backend)
+
 const test = new FirstTest()
 test.componentDidMount()
-console.log('STATIC:\n', test.manager._getMemorizedSheets(test.manager._baseRule).static.innerHTML)
-console.log('DYNAMIC (first):\n', test.manager._getMemorizedSheets(test.manager._baseRule).dynamic.innerHTML)
-console.log('KEYFRAMES (first):\n', test.manager._getMemorizedSheets('@keyframes FirstTest-Animation').dynamic.innerHTML)
+assert.strictEqual(backend.getCSS(), [
+    ".FirstTest{\ncolor:white;\nbackground-color:red;\n}\n",
+    ".FirstTest{\nsize:0;\n}\n",
+    "@keyframes FirstTest-Animation{\n60%{\nopacity:1;\n}\nfrom{\nopacity:6;\n}\nto{\nsize:1px;\n}\n}\n",
+].join(''))
+
 test.componentDidUpdate()
 test.componentDidUpdate()
-console.log('DYNAMIC (second):\n', test.manager._getMemorizedSheets(test.manager._baseRule).dynamic.innerHTML)
-console.log('KEYFRAMES (second):\n', test.manager._getMemorizedSheets('@keyframes FirstTest-Animation').dynamic.innerHTML)
+assert.strictEqual(backend.getCSS(), [
+    ".FirstTest{\ncolor:white;\nbackground-color:red;\n}\n",
+    ".FirstTest{\nsize:2px;\n}\n",
+    "@keyframes FirstTest-Animation{\n60%{\nopacity:1;\n}\nfrom{\nopacity:8;\n}\nto{\nsize:3px;\n}\n}\n",
+].join(''))
+test.componentWillUnmount()
+assert.strictEqual(backend.getCSS(), "")
+
+// mounts a component with makeStyle(), and returns the CSS it wrote (it is unmounted again afterwards)
+function renderCSS(ComponentClass, props = {}) {
+    const component = new ComponentClass()
+    component.props = props
+    component.componentDidMount()
+    const cssText = backend.getCSS()
+    component.componentWillUnmount()
+    return cssText
+}
+
+// at-rules wrap the rules nested in them, at any level
+class AtRuleTest extends MockComponent {
+    makeStyle(when) {
+        return {
+            "@media (max-width: 600px)": {
+                color: "red",
+                "@supports (display: grid)": {
+                    div: { display: "grid" },
+                },
+            },
+        }
+    }
+}
+assert.strictEqual(renderCSS(AtRuleTest), [
+    "@media (max-width: 600px){.AtRuleTest{\ncolor:red;\n}\n}\n",
+    "@media (max-width: 600px){@supports (display: grid){.AtRuleTest div{\ndisplay:grid;\n}\n}\n}\n",
+].join(''))
+
+// selector lists nest against every parent selector, and '&' places the parent (commas in quotes and brackets are left alone)
+class SelectorListTest extends MockComponent {
+    makeStyle(when) {
+        return {
+            "h1, h2": { margin: 0 },
+            [when(":hover, :focus")]: { color: "red" },
+            ".dark-mode &": { color: "white" },
+            '[data-x="a,b"] &, p': { top: "1px" },
+        }
+    }
+}
+assert.strictEqual(renderCSS(SelectorListTest), [
+    ".SelectorListTest h1, .SelectorListTest h2{\nmargin:0;\n}\n",
+    ".SelectorListTest:hover, .SelectorListTest:focus{\ncolor:red;\n}\n",
+    ".dark-mode .SelectorListTest{\ncolor:white;\n}\n",
+    '[data-x="a,b"] .SelectorListTest, .SelectorListTest p{\ntop:1px;\n}\n',
+].join(''))
+
+// keyframes names are scoped to their component, in the names position of animation props only
+class KeyFramesTest extends MockComponent {
+    makeStyle(when) {
+        return {
+            "@keyframes Fade": {
+                from: { opacity: 0 },
+                to: { opacity: 1 },
+            },
+            animation: "Fade 300ms ease-in infinite, none 1s",
+            animationName: "Fade",
+        }
+    }
+}
+assert.strictEqual(renderCSS(KeyFramesTest), [
+    "@keyframes KeyFramesTest-Fade{\nfrom{\nopacity:0;\n}\nto{\nopacity:1;\n}\n}\n",
+    ".KeyFramesTest{\nanimation:KeyFramesTest-Fade 300ms ease-in infinite, none 1s;\nanimation-name:KeyFramesTest-Fade;\n}\n",
+].join(''))
+
+// numbers get a unit, unless their prop is unitless
+class UnitTest extends MockComponent {
+    makeStyle(when) {
+        return {
+            width: 10,
+            marginTop: -4,
+            opacity: 0.5,
+            lineHeight: 1.5,
+            WebkitLineClamp: 2,
+            height: () => this.props.height,
+        }
+    }
+}
+assert.strictEqual(renderCSS(UnitTest, { height: 20 }), [
+    ".UnitTest{\nwidth:10px;\nmargin-top:-4px;\nopacity:0.5;\nline-height:1.5;\n-webkit-line-clamp:2;\n}\n",
+    ".UnitTest{\nheight:20px;\n}\n",
+].join(''))
+StyleManager.defaultUnit = "rem"
+assert.strictEqual(renderCSS(UnitTest, { height: 2 }), [
+    ".UnitTest{\nwidth:10rem;\nmargin-top:-4rem;\nopacity:0.5;\nline-height:1.5;\n-webkit-line-clamp:2;\n}\n",
+    ".UnitTest{\nheight:2rem;\n}\n",
+].join(''))
+StyleManager.defaultUnit = "px"
+
+// included mixins merge in before the object's own props, and each makeStyle() result is only expanded once
+let numMixinCalls = 0
+mixinRegistry.createMixin("centered", (when) => {
+    numMixinCalls++
+    return { display: "flex", color: "black" }
+})
+const mixinResult = { include: ["centered"], color: "blue" }
+class MixinTest extends MockComponent {
+    makeStyle(when) {
+        return mixinResult
+    }
+}
+assert.strictEqual(renderCSS(MixinTest), ".MixinTest{\ndisplay:flex;\ncolor:blue;\n}\n")
+assert.strictEqual(renderCSS(MixinTest), ".MixinTest{\ndisplay:flex;\ncolor:blue;\n}\n")
+assert.strictEqual(numMixinCalls, 1)
+
+// sheets are kept until the last component using them unmounts
+class RefCountTest extends MockComponent {
+    makeStyle(when) {
+        return { color: "green" }
+    }
+}
+const firstRefCount = new RefCountTest()
+const secondRefCount = new RefCountTest()
+firstRefCount.componentDidMount()
+secondRefCount.componentDidMount()
+firstRefCount.componentWillUnmount()
+firstRefCount.componentWillUnmount() // (releasing twice does nothing)
+assert.strictEqual(backend.getCSS(), ".RefCountTest{\ncolor:green;\n}\n")
+secondRefCount.componentWillUnmount()
+assert.strictEqual(backend.getCSS(), "")
+
+// dynamic props with dependencies only run again when their dependencies change, and unchanged rules are not written again
+let numWidthCalls = 0
+let numWrites = 0
+const countingBackend = new sheetBackends.MemorySheetBackend()
+const createDynamicSheet = countingBackend.createDynamicSheet.bind(countingBackend)
+countingBackend.createDynamicSheet = (fullRule, owner) => {
+    const sheet = createDynamicSheet(fullRule, owner)
+    const write = sheet.write.bind(sheet)
+    sheet.write = (ruleLine, declarations) => {
+        numWrites++
+        write(ruleLine, declarations)
+    }
+    return sheet
+}
+makeManager.setSheetBackend(countingBackend)
+class DependencyTest extends MockComponent {
+    makeStyle(when) {
+        return {
+            width: StyleManager.dynamic(() => {
+                numWidthCalls++
+                return this.props.width
+            }, () => [this.props.width]),
+        }
+    }
+}
+const dependencyTest = new DependencyTest()
+dependencyTest.props = { width: 10 }
+dependencyTest.componentDidMount()
+dependencyTest.componentDidUpdate()
+assert.strictEqual(numWidthCalls, 1)
+assert.strictEqual(numWrites, 1)
+dependencyTest.props = { width: 20 }
+dependencyTest.componentDidUpdate()
+assert.strictEqual(numWidthCalls, 2)
+assert.strictEqual(numWrites, 2)
+assert.strictEqual(countingBackend.getCSS(), ".DependencyTest{\nwidth:20px;\n}\n")
+dependencyTest.componentWillUnmount()
+
+// switching backends moves the styles of mounted components to the new backend
+const mountedTest = new UnitTest()
+mountedTest.props = { height: 5 }
+mountedTest.componentDidMount()
+makeManager.setSheetBackend(backend)
+assert.strictEqual(countingBackend.getCSS(), "")
+assert.strictEqual(backend.getCSS(), [
+    ".UnitTest{\nwidth:10px;\nmargin-top:-4px;\nopacity:0.5;\nline-height:1.5;\n-webkit-line-clamp:2;\n}\n",
+    ".UnitTest{\nheight:5px;\n}\n",
+].join(''))
+mountedTest.componentWillUnmount()
+
+// identical css shares a content class name, unless it has dynamic props (which only the same owner shares)
+const ownerA = {}
+const ownerB = {}
+assert.strictEqual(StyleManager.toContentClassName({ top: 1 }, ownerA), StyleManager.toContentClassName({ top: 1 }, ownerB))
+const dynamicCss = () => ({ width: (component) => component.props.percent + "%" })
+assert.notStrictEqual(StyleManager.toContentClassName(dynamicCss(), ownerA), StyleManager.toContentClassName(dynamicCss(), ownerB))
+assert.strictEqual(StyleManager.toContentClassName(dynamicCss(), ownerA), StyleManager.toContentClassName(dynamicCss(), ownerA))
+
+// class names are minified in production (and the same name is always minified the same way)
+const prevNodeEnv = process.env.NODE_ENV
+process.env.NODE_ENV = "production"
+classNameHandler.minifyEnabled = true
+class MinifyTest extends MockComponent {
+    makeStyle(when) {
+        return {
+            [when("active")]: { color: "red" },
+        }
+    }
+}
+// (names makeStyle() uses are known, and minified, before the first mount)
+const unmountedMinifyTest = new MinifyTest()
+assert.deepStrictEqual(Array.from(unmountedMinifyTest.manager.classNames), ["active"])
+assert.ok("active" in classNameHandler.getManifest())
+const minifiedName = classNameHandler.toClassName("MinifyTest")
+assert.ok(/^r[\w-]+$/.test(minifiedName))
+assert.strictEqual(classNameHandler.toClassName("MinifyTest"), minifiedName)
+assert.strictEqual(renderCSS(MinifyTest), `.${minifiedName}.${classNameHandler.toClassName("active")}{\ncolor:red;\n}\n`)
+classNameHandler.minifyEnabled = false
+process.env.NODE_ENV = prevNodeEnv
 
+console.log("makeStyleProcessor tests passed")
@@ -0,0 +1,72 @@
+import assert from 'assert'
+import ReactStyles from '../reactStyles.mjs'
+
+const { renderStyles, resetAllStyles } = ReactStyles.testing
+
+class Button extends ReactStyles.Component {
+    makeStyle(when) {
+        return {
+            color: "white",
+            width: () => this.props.wide ? 200 : 100,
+        }
+    }
+}
+
+// NOTE: the memory backend has no DOM (and no batching), so this runs anywhere
+const backend = new ReactStyles.MemorySheetBackend()
+ReactStyles.setSheetBackend(backend)
+
+// renderStyles() returns the normalized CSS of a component, with "instance" fields set before dynamic props run
+assert.strictEqual(renderStyles(Button, { instance: { props: { wide: true } } }), [
+    ".Button {\n    color: white;\n}",
+    ".Button {\n    width: 200px;\n}",
+].join('\n'))
+assert.strictEqual(backend.getCSS(), "") // (nothing was written to the current backend)
+
+// applied themes and global styles are included, and stay in the current backend afterwards
+ReactStyles.globalStyle(() => ({ body: { margin: 0 } }))
+ReactStyles.applyTheme(ReactStyles.createTheme({ Button: () => ({ color: "black" }) }, "dark"))
+const liveCSS = backend.getCSS()
+const cssText = renderStyles(Button, { instance: { props: { wide: false } } })
+assert.ok(cssText.includes("body {\n    margin: 0;\n}"))
+assert.ok(/body \.Button:not\(\.[\w-]+\) \{\n {4}color: black;\n\}/.test(cssText))
+assert.ok(cssText.includes(".Button {\n    width: 100px;\n}"))
+assert.strictEqual(backend.getCSS(), liveCSS)
+
+// dynamic theme props are calculated for the component being rendered
+ReactStyles.applyTheme(ReactStyles.createTheme({ Button: () => ({ width: (ref) => ref.props.wide ? 300 : 150 }) }, "sized"))
+assert.ok(/body \.Button:not\(\.[\w-]+\) \{\n {4}width: 300px;\n\}/.test(renderStyles(Button, { instance: { props: { wide: true } } })))
+assert.ok(/body \.Button:not\(\.[\w-]+\) \{\n {4}width: 150px;\n\}/.test(renderStyles(Button, { instance: { props: { wide: false } } })))
+assert.ok(!backend.getCSS().includes("width:")) // (and nothing is calculated for it in the current backend)
+
+// resetAllStyles() removes themes and global styles, so they are gone from both
+resetAllStyles()
+assert.strictEqual(backend.getCSS(), "")
+assert.strictEqual(renderStyles(Button, { instance: { props: { wide: false } } }), [
+    ".Button {\n    color: white;\n}",
+    ".Button {\n    width: 100px;\n}",
+].join('\n'))
+// themes with the same name are still kept apart
+const firstTheme = ReactStyles.createTheme({ Button: () => ({ color: "red" }) }, "same")
+const secondTheme = ReactStyles.createTheme({ Button: () => ({ outlineColor: "blue" }) }, "same")
+ReactStyles.applyTheme(firstTheme)
+ReactStyles.applyTheme(secondTheme)
+assert.ok(backend.getCSS().includes("color:red;") && backend.getCSS().includes("outline-color:blue;"))
+ReactStyles.removeTheme(firstTheme)
+assert.ok(!backend.getCSS().includes("color:red;") && backend.getCSS().includes("outline-color:blue;"))
+resetAllStyles()
+
+// numbers in tokens get units, unless the token's name ends with a unitless prop
+ReactStyles.defineTokens({ flex: { gap: 8 }, columns: { gutter: 16 }, modal: { zIndex: 100 }, disabledOpacity: 0.5, lineHeight: 1.5 })
+const tokenCSS = backend.getCSS()
+for (const declaration of ["--flex-gap:8px;", "--columns-gutter:16px;", "--modal-z-index:100;", "--disabled-opacity:0.5;", "--line-height:1.5;"]) {
+    assert.ok(tokenCSS.includes(declaration), declaration)
+}
+resetAllStyles()
+
+// identical unnamed classes (like a class that was hot reloaded) are numbered in the order they are first styled
+const createUnnamed = () => (() => class extends ReactStyles.Component {})()
+const unnamedNames = [createUnnamed(), createUnnamed(), createUnnamed()].map((Unnamed) => new Unnamed({}).componentName)
+assert.ok(/^UnnamedComponent-\w+$/.test(unnamedNames[0]))
+assert.deepStrictEqual(unnamedNames.slice(1), [unnamedNames[0] + "-2", unnamedNames[0] + "-3"])
+console.log("reactStyles tests passed")
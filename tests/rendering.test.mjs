@@ -0,0 +1,157 @@
+import assert from 'assert'
+import { JSDOM } from 'jsdom'
+
+// NOTE: the DOM has to exist before React and React Styles are imported, since both look for it then
+const dom = new JSDOM("<!DOCTYPE html><html><head></head><body></body></html>", { pretendToBeVisual: true })
+for (const name of ["window", "document", "navigator", "HTMLElement", "Node", "requestAnimationFrame", "getComputedStyle"]) {
+    globalThis[name] = dom.window[name]
+}
+// NOTE: React falls back to timers without MessageChannel, which (unlike its ports) dont keep Node running afterwards
+delete globalThis.MessageChannel
+const React = (await import('react')).default
+const ReactDOM = (await import('react-dom')).default
+const ReactStyles = (await import('../reactStyles.mjs')).default
+
+const h = React.createElement
+const container = document.createElement('div')
+document.body.appendChild(container)
+
+// renders an element into the container, and returns its HTML
+function render(element) {
+    ReactDOM.render(element, container)
+    return container.innerHTML
+}
+
+class Button extends ReactStyles.Component {
+    makeStyle(when) {
+        return { color: "black" }
+    }
+    render() {
+        return h('button', null, "go")
+    }
+}
+
+class Wrapper extends ReactStyles.Component {
+    makeStyle(when) {
+        return { margin: 0 }
+    }
+    render() {
+        return h(Button)
+    }
+}
+
+// css props of components that render another React Styles component chain to its root element
+assert.strictEqual(render(h(Wrapper, { css: { color: "green" } })), `<button class="Button Wrapper css-1tdvgz3">go</button>`)
+assert.ok(document.head.innerHTML.includes("css-1tdvgz3"))
+ReactDOM.unmountComponentAtNode(container)
+
+// the root element gets the component's class name (unless it was given to another element by hand)
+class Card extends ReactStyles.Component {
+    makeStyle(when) {
+        return { padding: 4 }
+    }
+    render() {
+        return h('div', { className: "shadow" }, "card")
+    }
+}
+class HandPlaced extends ReactStyles.Component {
+    makeStyle(when) {
+        return { padding: 4 }
+    }
+    render() {
+        return h('div', null, h('p', { className: "HandPlaced" }, "text"))
+    }
+}
+assert.strictEqual(render(h(Card)), `<div class="shadow Card">card</div>`)
+assert.strictEqual(render(h(HandPlaced)), `<div><p class="HandPlaced">text</p></div>`)
+
+// class names chain through every React Styles component returned as a root
+class Outer extends ReactStyles.Component {
+    makeStyle(when) {
+        return { margin: 0 }
+    }
+    render() {
+        return h(Wrapper)
+    }
+}
+assert.strictEqual(render(h(Outer)), `<button class="Button Wrapper Outer">go</button>`)
+
+// chained class names stop at the root element, and dont reach components further down
+class Deep extends ReactStyles.Component {
+    makeStyle(when) {
+        return { fontWeight: "bold" }
+    }
+    render() {
+        return h('b', null, "deep")
+    }
+}
+class Label extends ReactStyles.Component {
+    makeStyle(when) {
+        return { fontSize: 12 }
+    }
+    render() {
+        return h('span', null, h(Deep))
+    }
+}
+class Holder extends ReactStyles.Component {
+    makeStyle(when) {
+        return { display: "block" }
+    }
+    render() {
+        return h(Label)
+    }
+}
+assert.strictEqual(render(h(Holder)), `<span class="Label Holder"><b class="Deep">deep</b></span>`)
+
+// the hidden prop and instance() class go to the element with the component's class name
+class Sized extends ReactStyles.Component {
+    makeStyle(when) {
+        return { width: ReactStyles.instance(() => this.props.width) }
+    }
+    render() {
+        return h('section', null, h('div', { className: "Sized" }, "sized"))
+    }
+}
+const sizedHTML = render(h(Sized, { width: 10, hidden: true }))
+assert.ok(/^<section><div class="Sized __instance\d+__" style="display: none;">sized<\/div><\/section>$/.test(sizedHTML), sizedHTML)
+ReactDOM.unmountComponentAtNode(container)
+
+// components below a StyleRoot write their styles to its target, and applied themes, global styles and tokens go there too
+// (with ":host" instead of selectors that never match inside shadow roots)
+class Widget extends ReactStyles.Component {
+    makeStyle(when) {
+        return { color: ReactStyles.token("widget.color") }
+    }
+    render() {
+        return h('i', null, "widget")
+    }
+}
+const darkTheme = ReactStyles.createTheme({ Widget: () => ({ backgroundColor: "black" }) }, "dark")
+ReactStyles.applyTheme(darkTheme)
+ReactStyles.globalStyle(() => ({ fontSize: 16 }))
+ReactStyles.defineTokens({ widget: { color: "red" } })
+const host = document.createElement('div')
+document.body.appendChild(host)
+const shadowRoot = host.attachShadow({ mode: "open" })
+assert.strictEqual(render(h(ReactStyles.StyleRoot, { target: shadowRoot }, h(Widget))), `<i class="Widget">widget</i>`)
+const shadowCSS = () => Array.from(shadowRoot.querySelectorAll('style')).map((style) => Array.from(style.sheet.cssRules).map((rule) => rule.cssText).join('\n')).join('\n')
+for (const line of [":host {font-size: 16px;}", ":host {--widget-color: red;}", ":host .Widget:not(.__THIS_INCREASES_SPECIFICITY_FOR_THEMES__-dark-0) {background-color: black;}", ".Widget {color: var(--widget-color);}"]) {
+    assert.ok(shadowCSS().includes(line), line)
+}
+assert.ok(!document.head.innerHTML.includes(`data-rs-rule=".Widget"`))
+
+// themes applied (or removed) later reach style contexts that already exist, and the same context is used for the same target
+const borderedTheme = ReactStyles.createTheme({ Widget: () => ({ borderColor: "blue" }) }, "bordered")
+ReactStyles.applyTheme(borderedTheme)
+assert.ok(shadowCSS().includes(":host .Widget:not(.__THIS_INCREASES_SPECIFICITY_FOR_THEMES__-bordered-1) {border-color: blue;}"))
+ReactStyles.removeTheme(darkTheme)
+assert.ok(!shadowCSS().includes("background-color: black;"))
+const styleContext = ReactStyles.createStyleContext(shadowRoot)
+assert.strictEqual(render(h(ReactStyles.StyleRoot, { context: styleContext }, h(Widget))), `<i class="Widget">widget</i>`)
+assert.strictEqual(shadowRoot.querySelectorAll(`style[data-rs-rule=".Widget"]`).length, 1)
+ReactDOM.unmountComponentAtNode(container)
+ReactStyles.testing.resetAllStyles()
+assert.strictEqual(shadowCSS(), "")
+
+dom.window.close()
+console.log("rendering tests passed")
@@ -0,0 +1,52 @@
+import assert from 'assert'
+import { JSDOM } from 'jsdom'
+import React from 'react'
+import ReactDOMServer from 'react-dom/server.js'
+import ReactStyles from '../reactStyles.mjs'
+import themeRegistry from '../themes.mjs'
+
+class Card extends ReactStyles.Component {
+    makeStyle(when) {
+        return {
+            color: "black",
+            width: () => this.props.width,
+        }
+    }
+    render() {
+        return React.createElement('div', null, "card")
+    }
+}
+
+ReactStyles.applyTheme(ReactStyles.createTheme({
+    Card: () => ({ borderWidth: (ref) => ref.props.width / 10 }),
+}, "wide"))
+
+// components rendered on a server never unmount, so themes dont remember them
+for (let count = 0; count < 20; count++) {
+    ReactStyles.collectStyles(() => ReactDOMServer.renderToString(React.createElement(Card, { width: 100 })))
+}
+assert.strictEqual((themeRegistry._mountedInstances.Card || new Set()).size, 0)
+assert.ok(ReactStyles.getStyleTags().includes("border-width:10px;"))
+// the same component rendered on a server writes one <style> tag per sheet, marked with its type and rule
+const html = ReactStyles.collectStyles(() => ReactDOMServer.renderToString(React.createElement(Card, { width: 100 })))
+const styleTags = ReactStyles.getStyleTags()
+assert.ok(styleTags.includes(`<style data-rs-type="static" data-rs-rule=".Card" data-rs-component="Card">.Card{\ncolor:black;\n}\n</style>`))
+assert.ok(styleTags.includes(`<style data-rs-type="dynamic" data-rs-rule=".Card" data-rs-component="Card">.Card{\nwidth:100px;\n}\n</style>`))
+
+// the browser adopts the server's <style> tags instead of creating the same sheets again
+const dom = new JSDOM(`<!DOCTYPE html><html><head>${styleTags}</head><body><div id="root">${html}</div></body></html>`)
+const { document } = dom.window
+const serverStyles = Array.from(document.querySelectorAll('style'))
+ReactStyles.setSheetBackend(new ReactStyles.DOMSheetBackend(document))
+ReactStyles.disableStyleBatching()
+const card = new Card({ width: 100 })
+card.componentDidMount()
+const styles = Array.from(document.querySelectorAll('style'))
+assert.strictEqual(styles.length, serverStyles.length)
+assert.ok(styles.every((style, idx) => style === serverStyles[idx]))
+card.props = { width: 200 }
+card.componentDidUpdate({ width: 100 }, null)
+assert.ok(document.querySelector('style[data-rs-type="dynamic"][data-rs-rule=".Card"]').sheet.cssRules[0].cssText.includes("width: 200px"))
+card.componentWillUnmount()
+dom.window.close()
+console.log("serverRendering tests passed")
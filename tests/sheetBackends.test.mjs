@@ -0,0 +1,121 @@
+import assert from 'assert'
+import sheetBackends from '../sheetBackends.mjs'
+
+// NOTE: just enough of a DOM (and CSSOM) for the DOM backend, which counts how rules get written
+const counts = { insertRule: 0, setProperty: 0 }
+
+class FakeStyle {
+    constructor() {
+        this.props = {}
+    }
+    setProperty(prop, value) {
+        counts.setProperty++
+        this.props[prop] = value
+    }
+    removeProperty(prop) {
+        delete this.props[prop]
+    }
+}
+
+class FakeSheet {
+    constructor() {
+        this.cssRules = []
+    }
+    // NOTE: only plain style rules (like ".Button{\ncolor:red;\n}\n") are understood
+    insertRule(cssText, idx) {
+        counts.insertRule++
+        const [, selector, body] = /^([^{]+)\{\n([^]*)\}\n$/.exec(cssText)
+        const style = new FakeStyle()
+        for (const line of body.split(';\n').filter((line) => line !== "")) {
+            const colonIdx = line.indexOf(':')
+            style.props[line.slice(0, colonIdx)] = line.slice(colonIdx + 1)
+        }
+        this.cssRules.splice(idx, 0, {
+            style,
+            get cssText() {
+                return selector + " { " + Object.keys(style.props).map((prop) => `${prop}: ${style.props[prop]};`).join(' ') + " }"
+            },
+        })
+    }
+    deleteRule(idx) {
+        this.cssRules.splice(idx, 1)
+    }
+}
+
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName
+        this.children = []
+        this.attributes = {}
+        this.parentNode = null
+        this.textContent = ""
+        this.sheet = (tagName === 'style') ? new FakeSheet() : null
+    }
+    setAttribute(name, value) {
+        this.attributes[name] = value
+    }
+    getAttribute(name) {
+        return (name in this.attributes) ? this.attributes[name] : null
+    }
+    appendChild(child) {
+        this.insertBefore(child, null)
+    }
+    insertBefore(child, nextChild) {
+        const idx = nextChild ? this.children.indexOf(nextChild) : this.children.length
+        this.children.splice(idx, 0, child)
+        child.parentNode = this
+    }
+    removeChild(child) {
+        this.children.splice(this.children.indexOf(child), 1)
+        child.parentNode = null
+    }
+}
+
+const fakeDocument = {
+    head: new FakeElement('head'),
+    createElement: (tagName) => new FakeElement(tagName),
+    querySelectorAll: () => [],
+}
+
+const backend = new sheetBackends.DOMSheetBackend(fakeDocument)
+
+// static sheets are written through the CSSOM right away
+const staticSheet = backend.createStaticSheet(".Button", { component: "Button" })
+staticSheet.write(".Button", { color: "red" })
+assert.strictEqual(staticSheet.cssText, ".Button { color: red; }")
+assert.strictEqual(staticSheet.element.getAttribute('data-rs-rule'), ".Button")
+assert.strictEqual(staticSheet.element.getAttribute('data-rs-component'), "Button")
+assert.strictEqual(counts.insertRule, 1)
+
+// dynamic sheets are batched until the next flush, which only writes their last update
+const dynamicSheet = backend.createDynamicSheet(".Button")
+dynamicSheet.write(".Button", { width: "10px", height: "10px" })
+dynamicSheet.write(".Button", { width: "20px", height: "10px" })
+assert.strictEqual(dynamicSheet.cssText, "")
+backend.flush()
+assert.strictEqual(dynamicSheet.cssText, ".Button { width: 20px; height: 10px; }")
+assert.strictEqual(counts.insertRule, 2)
+
+// later updates only set the declarations that changed (and unchanged rules are not written at all)
+dynamicSheet.write(".Button", { width: "30px", height: "10px" })
+backend.flush()
+assert.strictEqual(dynamicSheet.cssText, ".Button { width: 30px; height: 10px; }")
+assert.strictEqual(counts.insertRule, 2)
+assert.strictEqual(counts.setProperty, 1)
+dynamicSheet.write(".Button", { width: "30px", height: "10px" })
+backend.flush()
+assert.strictEqual(counts.setProperty, 1)
+
+// without batching, dynamic sheets are written right away
+backend.batchUpdates = false
+dynamicSheet.write(".Button", { width: "40px", height: "10px" })
+assert.strictEqual(dynamicSheet.cssText, ".Button { width: 40px; height: 10px; }")
+
+// removed sheets take their style elements with them (and pending updates are dropped)
+backend.batchUpdates = true
+dynamicSheet.write(".Button", { width: "50px", height: "10px" })
+dynamicSheet.remove()
+backend.flush()
+assert.strictEqual(dynamicSheet.element.parentNode, null)
+assert.strictEqual(dynamicSheet.cssText, ".Button { width: 40px; height: 10px; }")
+console.log("sheetBackends tests passed")
@@ -0,0 +1,170 @@
+/* MODULE INFO:
+This module implements themes (and presets, which are just themes that are
+applied once and never removed). A theme is a collection of makeStyle()-like
+functions, each one overriding the styles of a single component:
+
+    const darkTheme = ReactStyles.createTheme({
+        Button: (when) => ({
+            backgroundColor: "black",
+        }),
+    })
+
+Theme rules are created by the theme managers from makeStyleProcessor.mjs,
+which use a higher specificity than regular component rules. This module
+accomplishes its tasks under the following requirements:
+
+    Themes:
+        1. Created from an object of component names to makeTheme() functions
+        2. Create one theme manager per component name (lazily, when applied)
+    Theme Registry:
+        3. Applies/removes themes at runtime (without remounting anything)
+        4. Themes applied later override themes applied earlier
+            - Even when an earlier theme has dynamic properties and a later one has static ones
+        5. Updates dynamic theme properties when matching components mount/update
+            - And for every matching mounted component as soon as a theme is applied
+            - Mounted components are only held weakly, and components rendered on a server are never held
+*/
+
+import makeStyleManagerFactory from './makeStyleProcessor.mjs'
+import createWeakRef from './weakRefs.mjs'
+
+// REQ 1: fulfills requirement 1
+class Theme {
+    constructor(name, makeThemes, id) {
+        this.name = name
+        this.id = id // unique to this theme (unlike its name)
+        this._makeThemes = makeThemes
+        this._managers = null // component name -> theme manager; created on first apply
+    }
+
+    // REQ 2: fulfills requirement 2
+    _getManagers() {
+        if (!this._managers) {
+            this._managers = {}
+            for (const componentName in this._makeThemes) {
+                const makeTheme = this._makeThemes[componentName]
+                this._managers[componentName] = makeStyleManagerFactory.createThemeManagerForComponent(componentName, makeTheme, this.name, this.id)
+            }
+        }
+        return this._managers
+    }
+}
+
+// registry singleton
+export default new class {
+    constructor() {
+        this._activeThemes = [] // in order of application
+        this._themeCount = 0
+        this._mountedInstances = {} // component name -> weak references to mounted component instances (that dynamic theme props are calculated for)
+        this._instanceRefs = new WeakMap() // component instance -> its weak reference above
+    }
+
+    createTheme(makeThemes, name = null) {
+        const id = this._themeCount++
+        if (name === null) {
+            name = "Theme" + id
+        }
+        return new Theme(name, makeThemes, id)
+    }
+
+    // REQ 3: fulfills requirement 3
+    applyTheme(theme) {
+        if (this.isApplied(theme)) {
+            return
+        }
+
+        // REQ 4: fulfills requirement 4
+        // NOTE: style elements are appended, so newer themes come later in the document
+        // (theme managers only create static sheets, so this is true for dynamic properties too)
+        const managers = theme._getManagers()
+        for (const componentName in managers) {
+            managers[componentName].initStyle()
+        }
+        this._activeThemes.push(theme)
+
+        // REQ 5: fulfills requirement 5
+        for (const componentName in managers) {
+            for (const componentInstance of this._getMountedInstances(componentName)) {
+                managers[componentName].updateDynamicStyles(componentInstance)
+            }
+        }
+    }
+
+    removeTheme(theme) {
+        if (!this.isApplied(theme)) {
+            return
+        }
+
+        const managers = theme._getManagers()
+        for (const componentName in managers) {
+            managers[componentName].removeStyle()
+        }
+        this._activeThemes.splice(this._activeThemes.indexOf(theme), 1)
+    }
+
+    removeAllThemes() {
+        for (const theme of this._activeThemes.slice()) {
+            this.removeTheme(theme)
+        }
+    }
+
+    isApplied(theme) {
+        return this._activeThemes.includes(theme)
+    }
+
+    // REQ 5: fulfills requirement 5
+    // NOTE: the component is remembered (until forgetInstance()), so themes applied later can calculate their dynamic props for it
+    // NOTE: components never unmount on servers, so they arent remembered while styles are collected
+    updateDynamicStyles(componentInstance) {
+        if (!makeStyleManagerFactory.isCollectingStyles && !this._instanceRefs.has(componentInstance)) {
+            const componentName = componentInstance.componentName
+            const ref = createWeakRef(componentInstance)
+            this._instanceRefs.set(componentInstance, ref)
+            this._mountedInstances[componentName] = this._mountedInstances[componentName] || new Set()
+            this._mountedInstances[componentName].add(ref)
+        }
+
+        for (const theme of this._activeThemes) {
+            const manager = theme._getManagers()[componentInstance.componentName]
+            if (manager) {
+                manager.updateDynamicStyles(componentInstance)
+            }
+        }
+    }
+
+    // like updateDynamicStyles(), but only for a single style context, and without remembering the component
+    // (like for testing.renderStyles(), where the component is never mounted)
+    updateDynamicStylesIn(styleContext, componentInstance) {
+        for (const theme of this._activeThemes) {
+            const manager = theme._getManagers()[componentInstance.componentName]
+            if (manager) {
+                manager.updateDynamicStylesIn(styleContext, componentInstance)
+            }
+        }
+    }
+
+    // should be called when a component unmounts
+    forgetInstance(componentInstance) {
+        const ref = this._instanceRefs.get(componentInstance)
+        const mountedInstances = this._mountedInstances[componentInstance.componentName]
+        if (ref && mountedInstances) {
+            mountedInstances.delete(ref)
+        }
+        this._instanceRefs.delete(componentInstance)
+    }
+
+    // returns the mounted instances of a component (forgetting ones that were garbage collected)
+    _getMountedInstances(componentName) {
+        const mountedInstances = []
+        for (const ref of Array.from(this._mountedInstances[componentName] || [])) {
+            const componentInstance = ref.deref()
+            if (componentInstance) {
+                mountedInstances.push(componentInstance)
+            }
+            else {
+                this._mountedInstances[componentName].delete(ref)
+            }
+        }
+        return mountedInstances
+    }
+}
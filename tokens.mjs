@@ -0,0 +1,114 @@
+/* MODULE INFO:
+This module implements design tokens, which are named values (like colors
+and spacing) shared by all styles. Tokens are written once, as CSS custom
+properties on :root, and styles refer to them with token():
+
+    ReactStyles.defineTokens({
+        colorPrimary: "#06f",
+        spacing: { sm: 4, lg: 16 },
+    })
+
+    makeStyle(when) {
+        return {
+            color: token("colorPrimary"),   // var(--color-primary)
+            padding: token("spacing.sm"),   // var(--spacing-sm)
+        }
+    }
+
+Since styles only refer to custom properties, changing a token only rewrites
+the one :root rule, instead of every rule that uses it. This module
+accomplishes this under the following requirements:
+    1. Tokens are defined from (possibly nested) objects of names to values
+        - Nested names are joined with '-', and camelCase turns to dash-case
+        - Numbers are given the default unit, like other CSS values
+        - Numbers in tokens whose names end with a unitless prop (like "disabledOpacity" or "modal.zIndex") are left unitless
+    2. Tokens are written to :root as custom properties, before all component styles
+    3. token() refers to a token by name (or dotted path), with an optional fallback
+    4. Redefining existing tokens only updates the :root rule
+*/
+
+import globalStyleRegistry from './globalStyles.mjs'
+import StyleManager from './styleManager.mjs'
+
+// a singleton is provided to accomplish the requirements above
+export default new class {
+    constructor() {
+        this._values = {} // custom property name -> value
+        this._globalStyle = null
+    }
+
+    // REQ 1: fulfills requirement 1
+    // NOTE: tokens defined before are kept (unless they are defined again)
+    defineTokens(tokens) {
+        const newValues = {}
+        _flattenTokens(tokens, "--", newValues)
+        const anyNewNames = Object.keys(newValues).some((name) => !(name in this._values))
+        Object.assign(this._values, newValues)
+
+        // REQ 4: fulfills requirement 4
+        if (globalStyleRegistry.isApplied(this._globalStyle) && !anyNewNames) {
+            globalStyleRegistry.updateGlobalStyle(this._globalStyle)
+        }
+        // new names need a new rule
+        else {
+            globalStyleRegistry.removeGlobalStyle(this._globalStyle)
+            this._globalStyle = globalStyleRegistry.addGlobalStyle(() => this._makeTokenStyle())
+        }
+    }
+
+    // REQ 2: fulfills requirement 2
+    // NOTE: values are dynamic props, so they can be updated without creating the rule again
+    _makeTokenStyle() {
+        const tokenStyle = {}
+        for (const name in this._values) {
+            tokenStyle[name] = () => this._values[name]
+        }
+        return tokenStyle
+    }
+
+    // REQ 3: fulfills requirement 3
+    token(path, fallback) {
+        const name = "--" + String(path).split('.').map(_toDashCase).join('-')
+        return (fallback === undefined) ? `var(${name})` : `var(${name}, ${fallback})`
+    }
+
+    // forgets all tokens (like between tests)
+    // NOTE: this doesnt remove the :root rule; global styles are removed separately
+    reset() {
+        this._values = {}
+        this._globalStyle = null
+    }
+}
+
+function _flattenTokens(tokens, namePrefix, values) {
+    for (const key in tokens) {
+        const value = tokens[key]
+        const name = namePrefix + _toDashCase(key)
+        if (typeof value === "object" && value !== null) {
+            _flattenTokens(value, name + '-', values)
+        }
+        // NOTE: custom properties dont get units otherwise, since the browser cant know what they are used for
+        else if (typeof value === "number" && value !== 0 && !_isUnitlessName(name)) {
+            values[name] = value + StyleManager.defaultUnit
+        }
+        else {
+            values[name] = value
+        }
+    }
+}
+
+// checks whether a custom property name ends with a unitless prop (like "--modal-z-index" or "--line-height")
+// NOTE: only the end counts, since earlier words usually name a group (like "--flex-gap", which needs a unit)
+function _isUnitlessName(name) {
+    const words = name.slice(2).split('-')
+    for (let start = 0; start < words.length; start++) {
+        if (StyleManager.isUnitlessProp(words.slice(start).join('-'))) {
+            return true
+        }
+    }
+    return false
+}
+
+function _toDashCase(name) {
+    return String(name).replace(/[A-Z]/g, (char) => '-' + char.toLowerCase())
+}
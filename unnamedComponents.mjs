@@ -32,35 +32,67 @@ to give to the <div /> returned in render().
 
 The solution to the above problem requires the following:
     1. A method to create a unique name for a component constructor
+        - Names are tied to the constructor itself, so identical class expressions still get different names
+          (numbered in the order they are named, whether or not the ones named before are still around)
+        - Names come from the constructor's source code (not the order they are created in), so they
+          stay the same between page loads, and when other components are added, removed or reloaded
+        - A class that is itself reloaded (like with hot module reloading) is a new constructor with the same
+          source, so it is numbered like any other identical class expression (the first reload gets "-2")
+        - A "displayName" given to the constructor is used in place of the generic prefix, for debugging
     2. A method to get a previously created name from a constructor
     3. A method to get the associated constructor from a given name
+    4. Constructors can still be garbage collected after they are named
 */
 
+import hash from './hashing.mjs'
+import createWeakRef from './weakRefs.mjs'
+
 // a singleton is provided to accomplish the requirements above
 export default new class {
     constructor() {
-        this._unnamedComponentNames = {}
-        this._unnamedComponentConstructors = {}
-        this._unnamedCount = 0
+        // REQ 4: fulfills requirement 4
+        this._unnamedComponentNames = new WeakMap() // constructor -> name
+        this._unnamedComponentRefs = {} // name -> weak reference to constructor
+        this._numNamed = {} // base name -> how many constructors were given it (names are never given out twice)
 
         this.prefix = "UnnamedComponent" // provided publicly for convenience
     }
 
     // REQ 1: fulfills requirement 1
     generateName(constructor) {
-        const name = this.prefix + this._unnamedCount++
-        this._unnamedComponentNames[constructor] = name
-        this._unnamedComponentConstructors[name] = constructor
+        const existingName = this.getName(constructor)
+        if (existingName) {
+            return existingName
+        }
+
+        const label = (typeof constructor.displayName === "string") ? _toClassName(constructor.displayName) : ""
+        const baseName = (label || this.prefix) + '-' + hash(String(constructor))
+        const count = (this._numNamed[baseName] || 0) + 1
+        this._numNamed[baseName] = count
+        const name = (count === 1) ? baseName : baseName + '-' + count // only for constructors with the exact same source (and label)
+
+        this._unnamedComponentNames.set(constructor, name)
+        this._unnamedComponentRefs[name] = createWeakRef(constructor)
         return name
     }
 
     // REQ 2: fulfills requirement 2
     getName(constructor) {
-        return this._unnamedComponentNames[constructor]
+        return this._unnamedComponentNames.get(constructor)
     }
 
     // REQ 3: fulfills requirement 3
     getConstructor(name) {
-        return this._unnamedComponentConstructors[name]
+        const ref = this._unnamedComponentRefs[name]
+        const constructor = ref ? ref.deref() : undefined
+        if (ref && !constructor) {
+            delete this._unnamedComponentRefs[name] // it was garbage collected
+        }
+        return constructor
     }
-}
\ No newline at end of file
+}
+
+// turns a label like "withRouter(Search Box)" into something usable in a class name
+function _toClassName(label) {
+    return label.replace(/[^\w-]+/g, '')
+}
@@ -0,0 +1,17 @@
+/* MODULE INFO:
+This module provides the weak references React Styles uses to remember
+things (like component constructors and style contexts) without keeping
+them from being garbage collected. It accomplishes this under the
+following requirements:
+    1. References have a deref() method, like WeakRef
+    2. Environments without WeakRef get references that hold their value strongly (like before WeakRef existed)
+*/
+
+// REQ 1: fulfills requirement 1
+export default function createWeakRef(value) {
+    if (typeof WeakRef === "function") {
+        return new WeakRef(value)
+    }
+    // REQ 2: fulfills requirement 2
+    return { deref: () => value }
+}